@@ -1,5 +1,29 @@
+const EventEmitter = require('events');
+const nanoid = require('nanoid');
 const RabbitClient = require('rabbit-client');
+const { MemoryClient } = require('./memory');
 const Communicator = require('./Communicator');
+const {
+  composeMiddleware,
+  registerMiddleware,
+  resolveLogger,
+  validateBroadcastOptions,
+  emitEvent,
+} = require('./utils');
+
+// events of the registered communicators, which are re-emitted by the manager
+const COMMUNICATOR_EVENT_NAMES = [
+  'started',
+  'stopped',
+  'reconnected',
+  'published',
+  'message',
+  'ack',
+  'nack',
+  'ask:timeout',
+  'ask:reply',
+  'error',
+];
 
 module.exports = class CommunicationsManager {
   constructor(settings) {
@@ -10,10 +34,20 @@ module.exports = class CommunicationsManager {
     const {
       rabbitClient,
       rabbitOptions,
+      codec,
+      consumerGroup,
+      logger,
+      tracer,
+      propagateMetadata,
       namespace = 'rabbit-communications',
+      transport = 'amqp',
     } = settings;
 
-    if (!rabbitClient && !rabbitOptions) {
+    if (!['amqp', 'memory'].includes(transport)) {
+      throw new Error(`Unknown transport "${transport}", "amqp" and "memory" transports are supported`);
+    }
+
+    if (!rabbitClient && !rabbitOptions && transport !== 'memory') {
       throw new Error(`
         It is necessary to pass to the constructor either your own rabbitClient (RabbitClient instance)
         or rabbitOptions to create RabbitClient instance within the service.
@@ -21,32 +55,66 @@ module.exports = class CommunicationsManager {
     }
 
     this.namespace = namespace;
+    this.codec = codec;
+    this.consumerGroup = consumerGroup;
     this.rabbitOptions = rabbitOptions;
-
-    this.rabbitClient = rabbitClient || new RabbitClient(this.rabbitOptions.url, {
-      appName: `${this.namespace}-communicator-manager`,
-      sleepTime: 1e3,
-      json: true,
-      ...this.rabbitOptions,
-    });
+    this.transport = transport;
+    this.logger = resolveLogger(logger);
+    this.tracer = tracer; // passed to every registered communicator
+    this.propagateMetadata = propagateMetadata; // the same
+    this.logFields = { component: 'manager', namespace }; // added to every log line
+
+    // own lifecycle events and events of all registered communicators, see emitEvent()
+    this.events = new EventEmitter();
+
+    if (rabbitClient) {
+      this.rabbitClient = rabbitClient;
+    } else if (transport === 'memory') {
+      this.rabbitClient = new MemoryClient({
+        appName: `${this.namespace}-communicator-manager`,
+        json: true,
+      });
+    } else {
+      this.rabbitClient = new RabbitClient(this.rabbitOptions.url, {
+        appName: `${this.namespace}-communicator-manager`,
+        sleepTime: 1e3,
+        json: true,
+        ...this.rabbitOptions,
+      });
+    }
 
     this.communicatorMap = {};
     this.rootMiddlewareList = [];
     this.specificMiddlewareMap = {};
+    this.rootOutgoingMiddlewareList = [];
+    this.specificOutgoingMiddlewareMap = {};
+    this.eventForwarderMap = {}; // serviceName -> { eventName -> listener of communicator's event }
 
     this.isManagerStarted = false;
+    this.isManagerStarting = false;
+    this.isManagerStopped = false;
   }
 
   isCommunicatorRegistered(targetServiceName) {
     return this.communicatorMap[targetServiceName] !== undefined;
   }
 
+  /*
+   * Communicator registered after the manager is started (or while it is starting)
+   * is started immediately (returned promise is resolved when it is ready),
+   * if it fails to start, it is unregistered
+   */
   registerCommunicator(targetServiceName, communicatorOptions, outputListener) {
     if (this.isCommunicatorRegistered(targetServiceName)) {
       throw new Error(`Communicator for service ${targetServiceName} is already registered`);
     }
 
-    this.communicatorMap[targetServiceName] = new Communicator({
+    const communicator = new Communicator({
+      codec: this.codec,
+      consumerGroup: this.consumerGroup,
+      logger: this.logger,
+      tracer: this.tracer,
+      propagateMetadata: this.propagateMetadata,
       ...communicatorOptions,
       rabbitClient: this.rabbitClient,
       namespace: this.namespace,
@@ -54,9 +122,49 @@ module.exports = class CommunicationsManager {
       targetServiceName,
     });
 
+    this.communicatorMap[targetServiceName] = communicator;
+    this.forwardEvents(targetServiceName, communicator);
+
+    this.logger.debug({ ...this.logFields, service: targetServiceName }, 'Communicator registered');
+
     if (typeof outputListener === 'function') {
       this.addOutputListener(targetServiceName, outputListener);
     }
+
+    if (!this.isManagerStarted && !this.isManagerStarting) {
+      return Promise.resolve();
+    }
+
+    return communicator.start().catch((e) => {
+      this.removeCommunicator(targetServiceName, communicator);
+      throw e;
+    });
+  }
+
+  // stops communicator's consumers and rejects its pending asks
+  async unregisterCommunicator(targetServiceName, { drainTimeout = 5e3 } = {}) {
+    const communicator = this.getCommunicator(targetServiceName);
+
+    // no more messages are sent via this communicator
+    delete this.communicatorMap[targetServiceName];
+
+    await communicator.stop({ drainTimeout });
+
+    this.removeCommunicator(targetServiceName, communicator);
+  }
+
+  removeCommunicator(targetServiceName, communicator) {
+    if (this.communicatorMap[targetServiceName] === communicator) {
+      delete this.communicatorMap[targetServiceName];
+    }
+
+    Object.entries(this.eventForwarderMap[targetServiceName]).forEach(
+      ([eventName, forwarder]) => communicator.events.removeListener(eventName, forwarder),
+    );
+
+    delete this.eventForwarderMap[targetServiceName];
+
+    this.logger.debug({ ...this.logFields, service: targetServiceName }, 'Communicator unregistered');
   }
 
   getCommunicator(targetServiceName) {
@@ -73,41 +181,142 @@ module.exports = class CommunicationsManager {
     return this.getCommunicator(targetServiceName).send(data, additionalMetadata);
   }
 
-  async ask(targetServiceName, subject, data, additionalMetadata = {}) {
+  async ask(targetServiceName, subject, data, options = {}) {
     await this.verifyStart();
 
-    return this.getCommunicator(targetServiceName).ask(subject, data, additionalMetadata);
+    return this.getCommunicator(targetServiceName).ask(subject, data, options);
   }
 
-  async broadcast(data, metadata = {}) {
+  /*
+   * Asks all (or selected) services in parallel,
+   * resolves with serviceName -> result map, where result is one of:
+   * { status: 'fulfilled', data, metadata }
+   * { status: 'rejected', error }
+   * { status: 'timeout', error }
+   */
+  async askAll(subject, data, options = {}) {
     await this.verifyStart();
 
-    return Promise.all(
-      Object.values(this.communicatorMap).map(
-        communicator => communicator.send(data, metadata),
+    const {
+      services = Object.keys(this.communicatorMap).filter(
+        serviceName => this.communicatorMap[serviceName].useAsk,
       ),
-    );
+      minResponses = 0,
+      ...askOptions
+    } = options;
+
+    const communicators = services.map(serviceName => this.getCommunicator(serviceName));
+
+    const results = await Promise.all(communicators.map(async (communicator) => {
+      try {
+        const response = await communicator.ask(subject, data, askOptions);
+
+        return { status: 'fulfilled', ...response };
+      } catch (error) {
+        return { status: error.name === 'TimeoutError' ? 'timeout' : 'rejected', error };
+      }
+    }));
+
+    const resultMap = {};
+
+    services.forEach((serviceName, i) => {
+      resultMap[serviceName] = results[i];
+    });
+
+    const responsesCount = results.filter(({ status }) => status === 'fulfilled').length;
+
+    if (responsesCount < minResponses) {
+      const error = new Error(`Only ${responsesCount} of ${services.length} services responded, while at least ${minResponses} responses are required`);
+
+      error.results = resultMap;
+
+      throw error;
+    }
+
+    return resultMap;
+  }
+
+  /*
+   * Sends message to all (or selected) services with enabled input,
+   * resolves with serviceName -> result map, where result is one of:
+   * { status: 'fulfilled', messageId }
+   * { status: 'rejected', error }
+   */
+  async broadcast(data, options = {}) {
+    validateBroadcastOptions(options);
+
+    await this.verifyStart();
+
+    const {
+      to = () => true, // list of service names or (serviceName, communicator) => boolean function
+      exclude = [],
+      metadata = {},
+    } = options;
+
+    const isSelected = typeof to === 'function'
+      ? to
+      : serviceName => to.includes(serviceName);
+
+    const serviceNames = Object.keys(this.communicatorMap).filter((serviceName) => {
+      const communicator = this.communicatorMap[serviceName];
+
+      return communicator.isInputEnabled
+        && !exclude.includes(serviceName)
+        && isSelected(serviceName, communicator);
+    });
+
+    const results = await Promise.all(serviceNames.map(async (serviceName) => {
+      try {
+        const messageId = await this.communicatorMap[serviceName].publishInput({
+          type: 'broadcast',
+          messageId: nanoid(10),
+          data,
+          additionalMetadata: metadata,
+        });
+
+        return { status: 'fulfilled', messageId };
+      } catch (error) {
+        return { status: 'rejected', error };
+      }
+    }));
+
+    const resultMap = {};
+
+    serviceNames.forEach((serviceName, i) => {
+      resultMap[serviceName] = results[i];
+    });
+
+    return resultMap;
   }
 
   applyMiddleware(...args) {
-    if (args[1] !== undefined) {
-      const specificMiddlewareList = Array.isArray(args[1]) ? args[1] : [args[1]];
-      const targetServiceNameList = Array.isArray(args[0]) ? args[0] : [args[0]];
+    registerMiddleware(args, this.rootMiddlewareList, this.specificMiddlewareMap);
+  }
 
-      targetServiceNameList.forEach((serviceName) => {
-        const list = this.specificMiddlewareMap[serviceName];
+  applyOutgoingMiddleware(...args) {
+    registerMiddleware(args, this.rootOutgoingMiddlewareList, this.specificOutgoingMiddlewareMap);
+  }
 
-        if (list === undefined) {
-          this.specificMiddlewareMap[serviceName] = [];
-        }
+  getMiddlewareList(targetServiceName) {
+    return [
+      ...this.rootMiddlewareList,
+      ...(this.specificMiddlewareMap[targetServiceName] || []),
+    ];
+  }
 
-        this.specificMiddlewareMap[serviceName].push(...specificMiddlewareList);
-      });
-    } else {
-      const newRootMiddlewareList = Array.isArray(args[0]) ? args[0] : [args[0]];
+  getOutgoingMiddlewareList(targetServiceName) {
+    return [
+      ...this.rootOutgoingMiddlewareList,
+      ...(this.specificOutgoingMiddlewareMap[targetServiceName] || []),
+    ];
+  }
 
-      this.rootMiddlewareList.push(...newRootMiddlewareList);
-    }
+  // subscribes to service's events, manager's middleware is applied to the handler
+  async subscribe(targetServiceName, pattern, handler) {
+    return this.getCommunicator(targetServiceName).subscribe(pattern, ctx => composeMiddleware([
+      ...this.getMiddlewareList(targetServiceName),
+      handler,
+    ])(ctx));
   }
 
   addOutputListener(targetServiceName, fn) {
@@ -115,42 +324,81 @@ module.exports = class CommunicationsManager {
   }
 
   async start() {
-    await Promise.all(
-      Object.values(this.communicatorMap).map((communicator) => {
-        if (typeof communicator.outputListener === 'function') {
-          const middlewareList = [
-            ...this.rootMiddlewareList,
-            ...(this.specificMiddlewareMap[communicator.targetServiceName] || []),
-            communicator.outputListener,
-          ];
-
-          const middlewareChain = middlewareList.map(
-            (m, i) => ctx => m(ctx, () => middlewareChain[i + 1](ctx)),
-          );
-
-          // eslint-disable-next-line no-param-reassign
-          communicator.outputListener = ctx => middlewareChain[0](ctx);
-        }
+    this.isManagerStopped = false;
 
-        return communicator.start();
-      }),
-    );
+    // communicators registered until start is finished are started by registerCommunicator()
+    this.isManagerStarting = true;
+
+    try {
+      await Promise.all(
+        Object.values(this.communicatorMap).map(communicator => communicator.start()),
+      );
+    } finally {
+      this.isManagerStarting = false;
+    }
 
     this.isManagerStarted = true;
+
+    const startInfo = { services: Object.keys(this.communicatorMap) };
+
+    this.logger.info({ ...this.logFields, ...startInfo }, 'Communications manager started');
+    this.emitEvent('started', startInfo);
+  }
+
+  async stop({ drainTimeout = 5e3 } = {}) {
+    await Promise.all(
+      Object.values(this.communicatorMap).map(
+        communicator => communicator.stop({ drainTimeout }),
+      ),
+    );
+
+    this.isManagerStarted = false;
+    this.isManagerStopped = true;
+
+    this.logger.info(this.logFields, 'Communications manager stopped');
+    this.emitEvent('stopped');
+  }
+
+  emitEvent(eventName, payload = {}) {
+    emitEvent(this.events, eventName, { ...this.logFields, ...payload });
   }
 
+  // communicator's events are re-emitted as is (their "component" is "communicator")
+  forwardEvents(targetServiceName, communicator) {
+    const forwarderMap = {};
+
+    COMMUNICATOR_EVENT_NAMES.forEach((eventName) => {
+      forwarderMap[eventName] = payload => emitEvent(this.events, eventName, payload);
+
+      communicator.events.on(eventName, forwarderMap[eventName]);
+    });
+
+    this.eventForwarderMap[targetServiceName] = forwarderMap;
+  }
+
+  // rejects if the manager is stopped (or stops while waiting), since it is not going to start
   async verifyStart() {
-    return new Promise((resolve) => {
+    const stoppedError = () => new Error('Communications manager is stopped, can not send message');
+
+    return new Promise((resolve, reject) => {
       if (this.isManagerStarted) {
         resolve();
         return;
       }
 
+      if (this.isManagerStopped) {
+        reject(stoppedError());
+        return;
+      }
+
       // wait for instance to start
       const intervalId = setInterval(() => {
         if (this.isManagerStarted) {
           clearInterval(intervalId);
           resolve();
+        } else if (this.isManagerStopped) {
+          clearInterval(intervalId);
+          reject(stoppedError());
         }
       }, 50);
     });
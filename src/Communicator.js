@@ -1,7 +1,29 @@
+const EventEmitter = require('events');
 const nanoid = require('nanoid');
 const RabbitClient = require('rabbit-client');
+const { MemoryClient } = require('./memory');
 const ListenerContext = require('./ListenerContext');
-const { ControllablePromise } = require('./utils');
+const { resolveCodec, decodeMessage } = require('./codecs');
+const { SpanKind, startSpan, getMessagingAttributes } = require('./tracing');
+const {
+  AskRegistry,
+  ListenerCallsTracker,
+  composeMiddleware,
+  normalizeRetryPolicy,
+  deadLetterMessage,
+  rejectMessage,
+  closeChannel,
+  matchTopic,
+  resolveLogger,
+  getMessageLogFields,
+  watchReconnects,
+  propagationStorage,
+  sendAsk,
+  handleReplyMessage,
+  publishMessage,
+  replyListenerError,
+  emitEvent,
+} = require('./utils');
 
 module.exports = class Communicator {
   constructor(settings) {
@@ -21,7 +43,16 @@ module.exports = class Communicator {
       isInputEnabled = true,
       isOutputEnabled = true,
       shouldDiscardMessages = false,
+      retry,
+      codec,
       namespace = 'rabbit-communications',
+      transport = 'amqp',
+      consumerGroup,
+      onLateReply = () => {},
+      onOrphanReply = () => {},
+      logger,
+      tracer,
+      propagateMetadata = [],
     } = settings;
 
     if (!targetServiceName) {
@@ -35,7 +66,11 @@ module.exports = class Communicator {
       `);
     }
 
-    if (!rabbitClient && !rabbitOptions) {
+    if (!['amqp', 'memory'].includes(transport)) {
+      throw new Error(`Unknown transport "${transport}", "amqp" and "memory" transports are supported`);
+    }
+
+    if (!rabbitClient && !rabbitOptions && transport !== 'memory') {
       throw new Error(`
         It is necessary to pass to the constructor either your own rabbitClient (RabbitClient instance)
         or rabbitOptions to create RabbitClient instance within the service.
@@ -53,18 +88,67 @@ module.exports = class Communicator {
     this.askTimeout = askTimeout;
     this.rabbitClient = rabbitClient;
     this.rabbitOptions = rabbitOptions;
+    this.transport = transport;
     this.outputPrefetch = outputPrefetch;
     this.targetServiceName = targetServiceName;
     this.isInputEnabled = useAsk || isInputEnabled;
     this.isOutputEnabled = useAsk || isOutputEnabled;
     this.shouldDiscardMessages = shouldDiscardMessages;
+    this.retry = normalizeRetryPolicy(retry);
+    this.codec = resolveCodec(codec);
+    this.onLateReply = onLateReply;
+    this.onOrphanReply = onOrphanReply;
+    this.consumerGroup = consumerGroup;
+    this.logger = resolveLogger(logger);
+    this.tracer = tracer; // OpenTelemetry-compatible tracer, see tracing module
+    this.propagateMetadata = propagateMetadata; // keys carried from received messages to sent ones
+
+    // added to every log line and event payload of this instance
+    this.logFields = {
+      component: 'communicator',
+      namespace,
+      service: targetServiceName,
+      consumerGroup,
+    };
+
+    // lifecycle and message events, see emitEvent()
+    // (not an EventEmitter itself, since "emit" method sends messages with subject)
+    this.events = new EventEmitter();
 
     this.inputQueueName = `${namespace}:${this.targetServiceName}:input`;
-    this.outputQueueName = `${namespace}:${this.targetServiceName}:output`;
+    // service publishes output messages with this routing key,
+    // each consumer group gets its own queue bound with it (full copy of the output),
+    // while instances of the same group share the queue
+    this.outputRoutingKey = `${namespace}:${this.targetServiceName}:output`;
+    this.outputQueueName = consumerGroup
+      ? `${this.outputRoutingKey}:${consumerGroup}`
+      : this.outputRoutingKey;
+    this.outputDeadQueueName = `${this.outputQueueName}:dead`;
+
+    // service's events are published to the topic exchange,
+    // instances of the same consumer group share the queue (and compete for the events),
+    // otherwise each instance gets its own exclusive queue
+    this.eventsExchangeName = `${namespace}:${this.targetServiceName}:events`;
+    this.eventsQueueName = `${this.eventsExchangeName}:${consumerGroup || nanoid(10)}`;
+    this.eventsDeadQueueName = `${this.eventsQueueName}:dead`;
+
+    // exclusive queue of this particular instance, so replies to its asks
+    // are not consumed by other instances communicating with the same service
+    this.replyQueueName = `${namespace}:${this.targetServiceName}:reply:${nanoid(10)}`;
+
+    // pending asks, see utils
+    this.askRegistry = new AskRegistry({
+      onTimeout: askInfo => this.emitEvent('ask:timeout', askInfo),
+    });
+    this.askListenersMap = {}; // subject -> function, listeners of service's asks (see service.ask)
+    this.outgoingMiddlewareList = []; // wraps publishing of sent messages and asks
+    this.subscriptions = []; // { pattern, handler }
 
-    this.askMap = {}; // messageId -> ControllablePromise instance (see utils)
+    this.listenerCalls = new ListenerCallsTracker();
 
     this.isCommunicatorStarted = false;
+    this.isCommunicatorStopping = false;
+    this.isCommunicatorStopped = false;
   }
 
   addOutputListener(fn) {
@@ -75,52 +159,496 @@ module.exports = class Communicator {
     this.outputListener = fn;
   }
 
-  async send(data, additionalMetadata = {}) {
+  addAskListener(subject, fn) {
+    if (!this.isOutputEnabled) {
+      throw new Error('Service output channel is disabled, therefore ask listeners would never be called');
+    }
+
     if (!this.isInputEnabled) {
-      throw new Error('Service input channel is disabled, can not send message');
+      throw new Error(`
+        Service input channel is disabled, therefore ask listener
+        will not be able to reply to the incoming message
+      `);
     }
 
-    await this.verifyStart();
+    this.askListenersMap[subject] = fn;
+  }
 
-    const messageId = nanoid(10);
+  useOutgoing(fn) {
+    const newOutgoingMiddlewareList = Array.isArray(fn) ? fn : [fn];
 
-    const metadata = {
-      ...this.metadata,
-      ...additionalMetadata,
-      messageId,
-    };
+    this.outgoingMiddlewareList.push(...newOutgoingMiddlewareList);
+  }
 
-    const payload = {
-      metadata,
-      data,
-    };
+  /*
+   * Subscribes to service's events (see service.publish),
+   * pattern is a topic pattern, where "*" matches exactly one word and "#" - zero or more words
+   */
+  async subscribe(pattern, handler) {
+    this.subscriptions.push({ pattern, handler });
+
+    if (!this.isCommunicatorStarted) {
+      return;
+    }
+
+    // parallel subscribe() calls share the single events consumer
+    await this.ensureEventsConsumer();
+    await this.eventsChannel.bindQueue(this.eventsQueueName, this.eventsExchangeName, pattern);
+  }
 
-    await this.inputChannel.publish(this.namespace, this.inputQueueName, payload);
+  get pendingAsksCount() {
+    return this.askRegistry.size;
+  }
+
+  // manager's middleware of incoming messages, see manager.applyMiddleware
+  getMiddlewareList() {
+    return this.manager ? this.manager.getMiddlewareList(this.targetServiceName) : [];
+  }
 
-    return messageId;
+  getOutgoingMiddlewareList() {
+    // manager's outgoing middleware is called first, see manager.applyOutgoingMiddleware
+    const managerMiddlewareList = this.manager
+      ? this.manager.getOutgoingMiddlewareList(this.targetServiceName)
+      : [];
+
+    return [...managerMiddlewareList, ...this.outgoingMiddlewareList];
   }
 
-  async ask(subject, data, additionalMetadata = {}) {
-    const controllablePromise = new ControllablePromise();
+  async send(data, additionalMetadata = {}) {
+    return this.publishInput({
+      type: 'send',
+      messageId: nanoid(10),
+      data,
+      additionalMetadata,
+    });
+  }
 
-    const messageId = await this.send(data, {
+  // message is passed to service's listener of this subject (see service.on)
+  async emit(subject, data, additionalMetadata = {}) {
+    return this.send(data, {
       ...additionalMetadata,
-      ask: true,
       subject,
     });
+  }
 
-    controllablePromise.setResolveTimeout(
-      this.askTimeout,
-      `The service did not respond within the allowed ${this.askTimeout} milliseconds`,
-    );
+  async ask(subject, data, options = {}) {
+    return this.sendAsk(subject, data, options);
+  }
+
+  // replies to service's ask (see addAskListener), reply is published to service's reply queue
+  async sendReply(replyTo, data, additionalMetadata = {}) {
+    return this.publishInput({
+      type: 'reply',
+      messageId: nanoid(10),
+      routingKey: replyTo,
+      data,
+      additionalMetadata,
+    });
+  }
+
+  // returns async iterator over reply chunks (see ctx.replyChunk in service's ask listener)
+  askStream(subject, data, options = {}) {
+    return this.sendAsk(subject, data, options, { isStream: true });
+  }
+
+  /*
+   * Registers ask in the registry, publishes it in the background
+   * and returns reply promise (or reply stream)
+   */
+  sendAsk(subject, data, options, { isStream = false } = {}) {
+    if (!this.useAsk) {
+      throw new Error('Ask is disabled, pass "useAsk: true" to the Communicator constructor to enable it');
+    }
+
+    return sendAsk({
+      instance: this,
+      subject,
+      data,
+      options,
+      isStream,
+      destination: this.inputQueueName,
+      peerName: 'service',
+      publish: ({ messageId, additionalMetadata }) => this.publishInput({
+        type: 'ask',
+        messageId,
+        data,
+        additionalMetadata,
+      }),
+    });
+  }
 
-    // To see the use of this object see the consume callback below in start() method
-    this.askMap[messageId] = controllablePromise;
+  /*
+   * Passes outgoing context through the outgoing middleware and publishes it,
+   * resolves with message id or with undefined, if middleware did not call next()
+   */
+  async publishInput({
+    type,
+    messageId,
+    routingKey = this.inputQueueName,
+    data,
+    additionalMetadata,
+  }) {
+    if (!this.isInputEnabled) {
+      throw new Error('Service input channel is disabled, can not send message');
+    }
 
-    return controllablePromise;
+    await this.verifyStart();
+
+    return publishMessage({
+      instance: this,
+      getChannel: () => this.inputChannel,
+      middlewareList: this.getOutgoingMiddlewareList(),
+      contextFields: {
+        manager: this.manager,
+        communicator: this,
+        targetServiceName: this.targetServiceName,
+      },
+      type, // "send", "ask", "reply" or "broadcast"
+      messageId,
+      exchangeName: this.namespace,
+      routingKey,
+      data,
+      additionalMetadata,
+    });
+  }
+
+  async handleOutputMessage(msg, ch) {
+    if (this.isCommunicatorStopping) {
+      // message was delivered while communicator is stopping, leave it to the other consumers
+      await ch.nack(msg, false, true);
+      return;
+    }
+
+    const receivedAt = Date.now();
+
+    let ctx;
+    let span;
+    let listenerError;
+    let messageFields = getMessageLogFields(msg, undefined, this.outputQueueName);
+
+    let parsedMessage;
+
+    try {
+      parsedMessage = decodeMessage(msg, this.codec);
+    } catch (e) {
+      this.logger.error(
+        { ...this.logFields, ...messageFields, err: e },
+        'Message can not be decoded, it is moved to the dead queue',
+      );
+      this.emitEvent('error', { ...messageFields, error: e });
+
+      // redelivered message would fail the same way, so it is not returned to the queue
+      const outcome = await deadLetterMessage({
+        channel: ch,
+        msg,
+        error: e,
+        queueName: this.outputQueueName,
+        deadQueueName: this.outputDeadQueueName,
+        shouldDiscardMessages: this.shouldDiscardMessages,
+      });
+
+      this.emitEvent('nack', {
+        ...messageFields,
+        error: e,
+        outcome,
+        duration: Date.now() - receivedAt,
+      });
+
+      return;
+    }
+
+    try {
+      const { data, metadata } = parsedMessage;
+
+      messageFields = getMessageLogFields(msg, metadata, this.outputQueueName);
+
+      this.emitEvent('message', { ...messageFields, metadata, data });
+
+      if (metadata.ask && metadata.deadline !== undefined && metadata.deadline <= Date.now()) {
+        this.logger.debug(
+          { ...this.logFields, ...messageFields },
+          'Ask deadline has passed, request is skipped',
+        );
+
+        // service is not waiting for the reply anymore
+        await ch.ack(msg);
+        this.emitEvent('ack', { ...messageFields, duration: Date.now() - receivedAt });
+
+        return;
+      }
+
+      const isAsk = metadata.ask && metadata.subject !== undefined;
+
+      if (isAsk && this.askListenersMap[metadata.subject] === undefined) {
+        this.logger.debug(
+          { ...this.logFields, ...messageFields },
+          'No ask listener registered for the subject, request is left to the other consumer groups',
+        );
+
+        // every consumer group gets a copy of the ask, so replying with an error here
+        // would reject it before the group having the listener replies
+        await ch.ack(msg);
+        this.emitEvent('ack', { ...messageFields, duration: Date.now() - receivedAt });
+
+        return;
+      }
+
+      span = startSpan(this.tracer, `process ${this.outputQueueName}`, {
+        kind: SpanKind.CONSUMER,
+        attributes: getMessagingAttributes({
+          operation: 'process',
+          destination: this.outputQueueName,
+          messageId: metadata.messageId,
+          subject: metadata.subject,
+        }),
+        metadata,
+      });
+
+      ctx = new ListenerContext({
+        manager: this.manager,
+        communicator: this,
+        rabbitMessage: msg,
+        rabbitChannel: ch,
+        metadata,
+        data,
+        trace: span.trace,
+      });
+
+      if (isAsk) {
+        const askListener = this.askListenersMap[metadata.subject];
+
+        try {
+          const askHandler = composeMiddleware([...this.getMiddlewareList(), askListener]);
+
+          await propagationStorage.run(ctx.propagatedMetadata, () => askHandler(ctx));
+        } catch (e) {
+          listenerError = e;
+
+          this.logger.error(
+            { ...this.logFields, ...messageFields, err: e },
+            'Ask listener failed, error is replied to the service',
+          );
+          this.emitEvent('error', { ...messageFields, error: e });
+
+          // service gets the error instead of waiting for the timeout
+          const isReplied = await replyListenerError({
+            instance: this,
+            ctx,
+            error: e,
+            queueName: this.outputQueueName,
+            deadQueueName: this.outputDeadQueueName,
+            messageFields,
+            receivedAt,
+          });
+
+          if (!isReplied) {
+            return;
+          }
+        }
+      } else if (typeof this.outputListener === 'function') {
+        const outputHandler = composeMiddleware([...this.getMiddlewareList(), this.outputListener]);
+
+        await propagationStorage.run(ctx.propagatedMetadata, () => outputHandler(ctx));
+      } else {
+        const error = new Error('Received output message but no output listener registered');
+
+        listenerError = error;
+
+        this.logger.warn(
+          { ...this.logFields, ...messageFields },
+          'No output listener registered, message is moved to the dead queue',
+        );
+
+        // only ask listeners are registered, nobody is going to process this message
+        const outcome = await deadLetterMessage({
+          channel: ch,
+          msg,
+          error,
+          queueName: this.outputQueueName,
+          deadQueueName: this.outputDeadQueueName,
+          shouldDiscardMessages: this.shouldDiscardMessages,
+        });
+
+        this.emitEvent('nack', {
+          ...messageFields,
+          error,
+          outcome,
+          duration: Date.now() - receivedAt,
+        });
+
+        return;
+      }
+
+      await ch.ack(msg);
+      this.emitEvent('ack', { ...messageFields, duration: Date.now() - receivedAt });
+    } catch (e) {
+      listenerError = e;
+
+      this.logger.error({ ...this.logFields, ...messageFields, err: e }, 'Output listener failed');
+      this.emitEvent('error', { ...messageFields, error: e });
+
+      const outcome = await rejectMessage({
+        channel: ch,
+        msg,
+        error: e,
+        retry: this.retry,
+        queueName: this.outputQueueName,
+        deadQueueName: this.outputDeadQueueName,
+        shouldDiscardMessages: this.shouldDiscardMessages,
+      });
+
+      this.emitEvent('nack', {
+        ...messageFields,
+        error: e,
+        outcome,
+        duration: Date.now() - receivedAt,
+      });
+    } finally {
+      if (span !== undefined) {
+        span.end(listenerError);
+      }
+
+      if (ctx !== undefined) {
+        ctx.dispose();
+      }
+    }
+  }
+
+  async handleEventMessage(msg, ch) {
+    if (this.isCommunicatorStopping) {
+      await ch.nack(msg, false, true);
+      return;
+    }
+
+    const receivedAt = Date.now();
+
+    let span;
+    let handlerError;
+    let messageFields = {
+      ...getMessageLogFields(msg, undefined, this.eventsQueueName),
+      eventName: msg.fields.routingKey,
+    };
+
+    let parsedMessage;
+
+    try {
+      parsedMessage = decodeMessage(msg, this.codec);
+    } catch (e) {
+      this.logger.error(
+        { ...this.logFields, ...messageFields, err: e },
+        'Message can not be decoded, it is moved to the dead queue',
+      );
+      this.emitEvent('error', { ...messageFields, error: e });
+
+      // redelivered message would fail the same way, so it is not returned to the queue
+      // (exclusive queues have no dead queue, see below)
+      const outcome = await deadLetterMessage({
+        channel: ch,
+        msg,
+        error: e,
+        queueName: this.eventsQueueName,
+        deadQueueName: this.eventsDeadQueueName,
+        shouldDiscardMessages: this.shouldDiscardMessages || !this.consumerGroup,
+      });
+
+      this.emitEvent('nack', {
+        ...messageFields,
+        error: e,
+        outcome,
+        duration: Date.now() - receivedAt,
+      });
+
+      return;
+    }
+
+    try {
+      const { data, metadata } = parsedMessage;
+
+      // retried events are published directly to the queue, routing key is the queue name then
+      const eventName = metadata.eventName || msg.fields.routingKey;
+
+      messageFields = {
+        ...getMessageLogFields(msg, metadata, this.eventsQueueName),
+        eventName,
+      };
+
+      this.emitEvent('message', { ...messageFields, metadata, data });
+
+      span = startSpan(this.tracer, `process ${this.eventsQueueName}`, {
+        kind: SpanKind.CONSUMER,
+        attributes: getMessagingAttributes({
+          operation: 'process',
+          destination: this.eventsQueueName,
+          routingKey: eventName,
+          messageId: metadata.messageId,
+        }),
+        metadata,
+      });
+
+      const ctx = new ListenerContext({
+        manager: this.manager,
+        communicator: this,
+        rabbitMessage: msg,
+        rabbitChannel: ch,
+        metadata,
+        data,
+        trace: span.trace,
+      });
+
+      const handlers = this.subscriptions
+        .filter(({ pattern }) => matchTopic(pattern, eventName))
+        .map(({ handler }) => handler);
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const handler of handlers) {
+        // eslint-disable-next-line no-await-in-loop
+        await propagationStorage.run(ctx.propagatedMetadata, () => handler(ctx));
+      }
+
+      await ch.ack(msg);
+      this.emitEvent('ack', { ...messageFields, duration: Date.now() - receivedAt });
+    } catch (e) {
+      handlerError = e;
+
+      this.logger.error({ ...this.logFields, ...messageFields, err: e }, 'Event handler failed');
+      this.emitEvent('error', { ...messageFields, error: e });
+
+      // exclusive queues are deleted together with their instances, so there are no dead
+      // and wait queues for them: events are retried without delay and then discarded
+      // (right away, if there is no retry policy) instead of being requeued endlessly
+      const outcome = await rejectMessage({
+        channel: ch,
+        msg,
+        error: e,
+        retry: this.consumerGroup || !this.retry ? this.retry : { ...this.retry, initialDelay: 0 },
+        queueName: this.eventsQueueName,
+        deadQueueName: this.eventsDeadQueueName,
+        shouldDiscardMessages: this.shouldDiscardMessages || !this.consumerGroup,
+      });
+
+      this.emitEvent('nack', {
+        ...messageFields,
+        error: e,
+        outcome,
+        duration: Date.now() - receivedAt,
+      });
+    } finally {
+      if (span !== undefined) {
+        span.end(handlerError);
+      }
+    }
   }
 
   async start() {
+    this.isCommunicatorStopped = false;
+
+    if (!this.rabbitClient && this.transport === 'memory') {
+      this.rabbitClient = new MemoryClient({
+        appName: `${this.targetServiceName}-communicator`,
+        json: true,
+      });
+    }
+
     if (!this.rabbitClient) {
       this.rabbitClient = new RabbitClient(this.rabbitOptions.url, {
         appName: `${this.targetServiceName}-communicator`,
@@ -131,79 +659,210 @@ module.exports = class Communicator {
 
     if (this.isInputEnabled) {
       this.inputChannel = await this.rabbitClient.getChannel({
-        onReconnect: async (channel) => {
+        onReconnect: watchReconnects(async (channel) => {
           await channel.assertExchange(this.namespace, 'direct');
           await channel.assertQueue(this.inputQueueName);
           await channel.bindQueue(this.inputQueueName, this.namespace, this.inputQueueName);
-        },
+
+          this.inputChannel = channel;
+        }, () => this.emitEvent('reconnected', { channel: 'input', queue: this.inputQueueName })),
       });
     }
 
-    if (this.isOutputEnabled) {
-      if (typeof this.outputListener !== 'function' && !this.useAsk) {
-        throw new Error('Service output is enabled but no listener is provided');
-      }
+    const hasOutputListeners = typeof this.outputListener === 'function'
+      || Object.keys(this.askListenersMap).length > 0;
+
+    const hasOutputConsumers = hasOutputListeners
+      || this.useAsk
+      || this.subscriptions.length > 0;
+
+    if (this.isOutputEnabled && !hasOutputConsumers) {
+      throw new Error('Service output is enabled but no listener is provided');
+    }
 
+    if (this.isOutputEnabled && hasOutputListeners) {
       this.outputChannel = await this.rabbitClient.getChannel({
-        onReconnect: async (channel) => {
+        onReconnect: watchReconnects(async (channel) => {
           await channel.assertExchange(this.namespace, 'direct');
           await channel.assertQueue(this.outputQueueName);
-          await channel.bindQueue(this.outputQueueName, this.namespace, this.outputQueueName);
+          await channel.bindQueue(this.outputQueueName, this.namespace, this.outputRoutingKey);
           await channel.prefetch(this.outputPrefetch);
 
-          await channel.consume(this.outputQueueName, async (msg, ch, parsedMessage) => {
-            try {
-              const { data, metadata } = parsedMessage;
-
-              if (metadata.isReplyTo !== undefined) {
-                this.askMap[metadata.isReplyTo].resolve(parsedMessage);
-
-                delete this.askMap[metadata.isReplyTo];
-              } else {
-                const ctx = new ListenerContext({
-                  manager: this.manager,
-                  communicator: this,
-                  rabbitMessage: msg,
-                  rabbitChannel: ch,
-                  metadata,
-                  data,
-                });
-
-                await this.outputListener(ctx);
-              }
-
-              await ch.ack(msg);
-            } catch (e) {
-              console.error(e);
-              await ch.nack(msg, false, !this.shouldDiscardMessages);
-            }
-          });
-        },
+          // messages which can not be decoded are moved to the dead queue, as well as
+          // regular messages without output listener, exhausted retries
+          // and asks whose error can not be replied
+          if (!this.shouldDiscardMessages) {
+            await channel.assertQueue(this.outputDeadQueueName);
+          }
+
+          const { consumerTag } = await channel.consume(
+            this.outputQueueName,
+            (msg, ch) => this.listenerCalls.track(this.handleOutputMessage(msg, ch)),
+          );
+
+          this.outputChannel = channel;
+          this.outputConsumerTag = consumerTag;
+        }, () => this.emitEvent('reconnected', { channel: 'output', queue: this.outputQueueName })),
       });
     }
 
+    if (this.useAsk) {
+      this.replyChannel = await this.rabbitClient.getChannel({
+        onReconnect: watchReconnects(async (channel) => {
+          await channel.assertExchange(this.namespace, 'direct');
+          await channel.assertQueue(this.replyQueueName, { exclusive: true });
+          await channel.bindQueue(this.replyQueueName, this.namespace, this.replyQueueName);
+
+          const { consumerTag } = await channel.consume(
+            this.replyQueueName,
+            (msg, ch) => this.listenerCalls.track(handleReplyMessage(this, msg, ch)),
+          );
+
+          this.replyChannel = channel;
+          this.replyConsumerTag = consumerTag;
+        }, () => this.emitEvent('reconnected', { channel: 'reply', queue: this.replyQueueName })),
+      });
+    }
+
+    if (this.subscriptions.length > 0) {
+      await this.ensureEventsConsumer();
+    }
+
     this.isCommunicatorStarted = true;
 
-    if (process.env.NODE_ENV !== 'test') {
-      console.log(`Communicator for service "${this.targetServiceName}" successfully started`);
-      console.log(`﹂RabbitMQ connection url: ${this.rabbitClient.rabbitUrl}`);
-      console.log(`﹂Target service's input queue name: ${this.isInputEnabled ? this.inputQueueName : 'DISABLED'}`);
-      console.log(`﹂Target service's output queue name: ${this.isOutputEnabled ? this.outputQueueName : 'DISABLED'}\n`);
+    const startInfo = {
+      rabbitUrl: this.rabbitClient.rabbitUrl,
+      inputQueue: this.isInputEnabled ? this.inputQueueName : undefined,
+      outputQueue: this.outputChannel ? this.outputQueueName : undefined,
+      replyQueue: this.useAsk ? this.replyQueueName : undefined,
+      eventsQueue: this.eventsChannel ? this.eventsQueueName : undefined,
+    };
+
+    this.logger.info({ ...this.logFields, ...startInfo }, 'Communicator started');
+    this.emitEvent('started', startInfo);
+  }
+
+  // starts events consumer once, concurrent callers wait for the same start
+  async ensureEventsConsumer() {
+    if (this.eventsConsumerPromise === undefined) {
+      this.eventsConsumerPromise = this.startEventsConsumer().catch((e) => {
+        this.eventsConsumerPromise = undefined;
+        throw e;
+      });
     }
+
+    return this.eventsConsumerPromise;
+  }
+
+  async startEventsConsumer() {
+    this.eventsChannel = await this.rabbitClient.getChannel({
+      onReconnect: watchReconnects(async (channel) => {
+        await channel.assertExchange(this.eventsExchangeName, 'topic');
+        await channel.assertQueue(this.eventsQueueName, { exclusive: !this.consumerGroup });
+
+        const { eventsQueueName, eventsExchangeName } = this;
+
+        await Promise.all(this.subscriptions.map(
+          ({ pattern }) => channel.bindQueue(eventsQueueName, eventsExchangeName, pattern),
+        ));
+
+        await channel.prefetch(this.outputPrefetch);
+
+        // for events which can not be decoded and exhausted retries
+        if (this.consumerGroup && !this.shouldDiscardMessages) {
+          await channel.assertQueue(this.eventsDeadQueueName);
+        }
+
+        const { consumerTag } = await channel.consume(
+          this.eventsQueueName,
+          (msg, ch) => this.listenerCalls.track(this.handleEventMessage(msg, ch)),
+        );
+
+        this.eventsChannel = channel;
+        this.eventsConsumerTag = consumerTag;
+      }, () => this.emitEvent('reconnected', { channel: 'events', queue: this.eventsQueueName })),
+    });
   }
 
+  async stop({ drainTimeout = 5e3 } = {}) {
+    if (!this.isCommunicatorStarted) {
+      // messages waiting for the start are rejected
+      this.isCommunicatorStopped = true;
+      return;
+    }
+
+    this.isCommunicatorStopping = true;
+
+    if (this.outputChannel) {
+      await this.outputChannel.cancel(this.outputConsumerTag);
+    }
+
+    if (this.replyChannel) {
+      await this.replyChannel.cancel(this.replyConsumerTag);
+    }
+
+    if (this.eventsConsumerPromise) {
+      // consumer may be starting by subscribe() call
+      await this.eventsConsumerPromise.catch(() => {});
+    }
+
+    if (this.eventsChannel) {
+      await this.eventsChannel.cancel(this.eventsConsumerTag);
+    }
+
+    await this.listenerCalls.drain(drainTimeout);
+
+    this.askRegistry.rejectAll(new Error(
+      `Communicator for service "${this.targetServiceName}" was stopped before the service responded`,
+    ));
+
+    await Promise.all(
+      [this.inputChannel, this.outputChannel, this.replyChannel, this.eventsChannel]
+        .filter(Boolean)
+        .map(closeChannel),
+    );
+
+    // events consumer is started again on start() or subscribe() call
+    this.eventsChannel = undefined;
+    this.eventsConsumerPromise = undefined;
+
+    this.isCommunicatorStarted = false;
+    this.isCommunicatorStopping = false;
+    this.isCommunicatorStopped = true;
+
+    this.logger.info(this.logFields, 'Communicator stopped');
+    this.emitEvent('stopped');
+  }
+
+  emitEvent(eventName, payload = {}) {
+    emitEvent(this.events, eventName, { ...this.logFields, ...payload });
+  }
+
+  // rejects if the communicator is stopped (or stops while waiting), since it is not going to start
   async verifyStart() {
-    return new Promise((resolve) => {
+    const stoppedError = () => new Error(
+      `Communicator for service "${this.targetServiceName}" is stopped, can not send message`,
+    );
+
+    return new Promise((resolve, reject) => {
       if (this.isCommunicatorStarted) {
         resolve();
         return;
       }
 
+      if (this.isCommunicatorStopped) {
+        reject(stoppedError());
+        return;
+      }
+
       // wait for instance to start
       const intervalId = setInterval(() => {
         if (this.isCommunicatorStarted) {
           clearInterval(intervalId);
           resolve();
+        } else if (this.isCommunicatorStopped) {
+          clearInterval(intervalId);
+          reject(stoppedError());
         }
       }, 50);
     });
@@ -1,3 +1,6 @@
+const { serializeError, getMessageAttempt, getPropagatedMetadata } = require('./utils');
+const { extractTraceContext, getTraceMetadata } = require('./tracing');
+
 module.exports = class ListenerContext {
   constructor({
     rabbitMessage,
@@ -7,6 +10,7 @@ module.exports = class ListenerContext {
     service,
     manager,
     data,
+    trace = extractTraceContext(metadata),
   }) {
     this.communicator = communicator;
     this.message = rabbitMessage;
@@ -16,21 +20,131 @@ module.exports = class ListenerContext {
     this.manager = manager;
     this.data = data;
 
+    // number of the delivery attempt, see "retry" option
+    this.attempt = getMessageAttempt(rabbitMessage);
+
+    // trace context of the message processing (see "tracer" option),
+    // replies sent with this context are its children
+    this.trace = trace;
+
     const entityInstance = service || communicator;
 
+    // carried to every message sent while the listener is running (see "propagateMetadata" option)
+    this.propagatedMetadata = getPropagatedMetadata(
+      metadata,
+      entityInstance.propagateMetadata,
+      getTraceMetadata(trace),
+    );
+
+    // timestamp until which asking side waits for the reply,
+    // signal is aborted when it passes (ask listeners only)
+    if (metadata.ask && metadata.deadline !== undefined) {
+      // AbortController is global since Node.js 15, there is no ctx.signal in older versions
+      if (typeof AbortController === 'function') {
+        this.abortController = new AbortController();
+        this.signal = this.abortController.signal;
+      }
+
+      this.setDeadline(metadata.deadline);
+    }
+
     if (metadata.ask) {
-      // service addAskListener callback case
-      this.reply = (replyData, additionalMetadata) => entityInstance.send.call(
-        entityInstance,
+      // addAskListener callback case (of service or communicator)
+      this.reply = (replyData, additionalMetadata) => entityInstance.sendReply(
+        metadata.replyTo,
         replyData,
         {
+          ...this.propagatedMetadata,
+          ...additionalMetadata,
+          isReplyTo: metadata.messageId,
+        },
+      );
+
+      // asking side restarts the timeout on every reply chunk and progress message
+      const extendDeadline = () => {
+        if (this.deadline !== undefined && metadata.timeout !== undefined) {
+          this.setDeadline(Date.now() + metadata.timeout);
+        }
+      };
+
+      // streaming reply, see communicator.askStream()
+      this.replyChunk = (chunkData, additionalMetadata) => {
+        extendDeadline();
+
+        return entityInstance.sendReply(
+          metadata.replyTo,
+          chunkData,
+          {
+            ...this.propagatedMetadata,
+            ...additionalMetadata,
+            isReplyTo: metadata.messageId,
+            isChunk: true,
+          },
+        );
+      };
+
+      // heartbeat of the long-running ask, see "onProgress" option of communicator.ask()
+      this.progress = (progressData, additionalMetadata) => {
+        extendDeadline();
+
+        return entityInstance.sendReply(
+          metadata.replyTo,
+          progressData,
+          {
+            ...this.propagatedMetadata,
+            ...additionalMetadata,
+            isReplyTo: metadata.messageId,
+            isProgress: true,
+          },
+        );
+      };
+
+      this.end = additionalMetadata => entityInstance.sendReply(
+        metadata.replyTo,
+        null,
+        {
+          ...this.propagatedMetadata,
           ...additionalMetadata,
           isReplyTo: metadata.messageId,
+          isEnd: true,
+        },
+      );
+
+      // error is sent back to the asking side, where ask() promise is rejected with it
+      this.replyError = (error, additionalMetadata) => entityInstance.sendReply(
+        metadata.replyTo,
+        serializeError(error),
+        {
+          ...this.propagatedMetadata,
+          ...additionalMetadata,
+          isReplyTo: metadata.messageId,
+          isError: true,
         },
       );
     } else {
       // regular "reply" with no mapping
-      this.reply = entityInstance.send.bind(entityInstance);
+      this.reply = (replyData, additionalMetadata) => entityInstance.send(
+        replyData,
+        { ...this.propagatedMetadata, ...additionalMetadata },
+      );
     }
   }
+
+  setDeadline(deadline) {
+    clearTimeout(this.deadlineTimeoutId);
+
+    this.deadline = deadline;
+
+    if (this.abortController !== undefined) {
+      this.deadlineTimeoutId = setTimeout(
+        () => this.abortController.abort(),
+        deadline - Date.now(),
+      );
+    }
+  }
+
+  // called when listener is finished
+  dispose() {
+    clearTimeout(this.deadlineTimeoutId);
+  }
 };
@@ -1,5 +1,30 @@
+const EventEmitter = require('events');
+const nanoid = require('nanoid');
 const RabbitClient = require('rabbit-client');
+const { MemoryClient } = require('./memory');
 const ListenerContext = require('./ListenerContext');
+const { resolveCodec, decodeMessage } = require('./codecs');
+const { SpanKind, startSpan, getMessagingAttributes } = require('./tracing');
+const {
+  AskRegistry,
+  ListenerCallsTracker,
+  normalizeRetryPolicy,
+  composeMiddleware,
+  registerMiddleware,
+  deadLetterMessage,
+  rejectMessage,
+  closeChannel,
+  matchTopic,
+  resolveLogger,
+  getMessageLogFields,
+  watchReconnects,
+  propagationStorage,
+  sendAsk,
+  handleReplyMessage,
+  publishMessage,
+  replyListenerError,
+  emitEvent,
+} = require('./utils');
 
 module.exports = class Service {
   constructor(settings) {
@@ -13,10 +38,21 @@ module.exports = class Service {
       inputPrefetch = 1,
       rabbitOptions,
       metadata = {},
+      useAsk = false,
+      askTimeout = 5e3,
       isInputEnabled = true,
       isOutputEnabled = true,
+      useDefaultOutputQueue = true,
       shouldDiscardMessages = false,
+      retry,
+      codec,
       namespace = 'rabbit-communications',
+      transport = 'amqp',
+      onLateReply = () => {},
+      onOrphanReply = () => {},
+      logger,
+      tracer,
+      propagateMetadata = [],
     } = settings;
 
     if (!name) {
@@ -30,7 +66,11 @@ module.exports = class Service {
       `);
     }
 
-    if (!rabbitClient && !rabbitOptions) {
+    if (!['amqp', 'memory'].includes(transport)) {
+      throw new Error(`Unknown transport "${transport}", "amqp" and "memory" transports are supported`);
+    }
+
+    if (!rabbitClient && !rabbitOptions && transport !== 'memory') {
       throw new Error(`
         It is necessary to pass to the constructor either your own rabbitClient (RabbitClient instance)
         or rabbitOptions to create RabbitClient instance within the service.
@@ -47,16 +87,54 @@ module.exports = class Service {
     this.rabbitClient = rabbitClient;
     this.inputPrefetch = inputPrefetch;
     this.rabbitOptions = rabbitOptions;
+    this.transport = transport;
     this.isInputEnabled = isInputEnabled;
-    this.isOutputEnabled = isOutputEnabled;
+    this.useAsk = useAsk;
+    this.askTimeout = askTimeout;
+    // asks are published to the output channel
+    this.isOutputEnabled = useAsk || isOutputEnabled;
+    // output queue of communicators without consumer group, they declare it as well
+    this.useDefaultOutputQueue = useDefaultOutputQueue;
     this.shouldDiscardMessages = shouldDiscardMessages;
+    this.retry = normalizeRetryPolicy(retry);
+    this.codec = resolveCodec(codec);
+    this.onLateReply = onLateReply;
+    this.onOrphanReply = onOrphanReply;
+    this.logger = resolveLogger(logger);
+    this.tracer = tracer; // OpenTelemetry-compatible tracer, see tracing module
+    this.propagateMetadata = propagateMetadata; // keys carried from received messages to sent ones
 
     this.inputQueueName = `${namespace}:${this.name}:input`;
     this.outputQueueName = `${namespace}:${this.name}:output`;
+    this.inputDeadQueueName = `${this.inputQueueName}:dead`;
+    this.eventsExchangeName = `${namespace}:${this.name}:events`;
+
+    // added to every log line and event payload of this instance
+    this.logFields = { component: 'service', namespace, service: this.name };
+
+    // lifecycle and message events, see emitEvent()
+    // (not an EventEmitter itself, since "on" method is taken by subject listeners)
+    this.events = new EventEmitter();
+
+    // exclusive queue of this particular instance for replies of communicators to its asks
+    this.replyQueueName = `${namespace}:${this.name}:service-reply:${nanoid(10)}`;
+
+    // pending asks, see utils
+    this.askRegistry = new AskRegistry({
+      onTimeout: askInfo => this.emitEvent('ask:timeout', askInfo),
+    });
 
     this.askListenersMap = {}; // subject -> function
+    this.subjectListenerList = []; // { pattern, fn }, listeners of regular (not ask) messages
+    this.rootMiddlewareList = []; // wraps input listener and all ask listeners
+    this.subjectMiddlewareMap = {}; // subject -> list of subject listener's middleware functions
+    this.outgoingMiddlewareList = []; // wraps publishing of sent messages and replies
+
+    this.listenerCalls = new ListenerCallsTracker();
 
     this.isServiceStarted = false;
+    this.isServiceStopping = false;
+    this.isServiceStopped = false;
   }
 
   addInputListener(fn) {
@@ -83,27 +161,344 @@ module.exports = class Service {
     this.askListenersMap[subject] = fn;
   }
 
+  /*
+   * Adds listener of regular input messages with specific subject
+   * (see communicator.emit), pattern may contain "*" (exactly one word)
+   * and "#" (zero or more words) wildcards, like RabbitMQ topic patterns
+   */
+  on(pattern, fn) {
+    if (!this.isInputEnabled) {
+      throw new Error('Service input channel is disabled, therefore subject listeners would never be called');
+    }
+
+    this.subjectListenerList.push({ pattern, fn });
+  }
+
+  // first registered listener with matching pattern, input listener is the fallback one
+  getInputListener(subject) {
+    const subjectListener = subject === undefined
+      ? undefined
+      : this.subjectListenerList.find(({ pattern }) => matchTopic(pattern, subject));
+
+    return subjectListener ? subjectListener.fn : this.inputListener;
+  }
+
+  use(...args) {
+    registerMiddleware(args, this.rootMiddlewareList, this.subjectMiddlewareMap);
+  }
+
+  useOutgoing(fn) {
+    const newOutgoingMiddlewareList = Array.isArray(fn) ? fn : [fn];
+
+    this.outgoingMiddlewareList.push(...newOutgoingMiddlewareList);
+  }
+
   async send(data, additionalMetadata = {}) {
+    return this.publishOutput({
+      type: 'send',
+      routingKey: this.outputQueueName,
+      data,
+      additionalMetadata,
+    });
+  }
+
+  // publishes event to the topic exchange, see communicator.subscribe()
+  async publish(eventName, data, additionalMetadata = {}) {
+    return this.publishOutput({
+      type: 'event',
+      exchangeName: this.eventsExchangeName,
+      routingKey: eventName,
+      data,
+      additionalMetadata: {
+        ...additionalMetadata,
+        eventName,
+      },
+    });
+  }
+
+  /*
+   * Asks communicators of this service (see communicator.addAskListener),
+   * ask is published to the output queue, so it is replied by one of them
+   * (or by one communicator of every consumer group, the first reply wins)
+   */
+  async ask(subject, data, options = {}) {
+    if (!this.useAsk) {
+      throw new Error('Ask is disabled, pass "useAsk: true" to the Service constructor to enable it');
+    }
+
+    return sendAsk({
+      instance: this,
+      subject,
+      data,
+      options,
+      destination: this.outputQueueName,
+      peerName: 'communicator',
+      publish: ({ messageId, additionalMetadata }) => this.publishOutput({
+        type: 'ask',
+        messageId,
+        routingKey: this.outputQueueName,
+        data,
+        additionalMetadata,
+      }),
+    });
+  }
+
+  get pendingAsksCount() {
+    return this.askRegistry.size;
+  }
+
+  async sendReply(replyTo, data, additionalMetadata = {}) {
+    return this.publishOutput({
+      type: 'reply',
+      // communicators without own reply queue are still waiting for replies in the output queue
+      routingKey: replyTo === undefined ? this.outputQueueName : replyTo,
+      data,
+      additionalMetadata,
+    });
+  }
+
+  /*
+   * Passes outgoing context through the outgoing middleware and publishes it,
+   * resolves with message id or with undefined, if middleware did not call next()
+   */
+  async publishOutput({
+    type,
+    messageId = nanoid(10),
+    exchangeName = this.namespace,
+    routingKey,
+    data,
+    additionalMetadata,
+  }) {
     if (!this.isOutputEnabled) {
       throw new Error('Service output channel is disabled, can not send message');
     }
 
     await this.verifyStart();
 
-    const metadata = {
-      ...this.metadata,
-      ...additionalMetadata,
-    };
-
-    const payload = {
-      metadata,
+    return publishMessage({
+      instance: this,
+      getChannel: () => this.outputChannel,
+      middlewareList: this.outgoingMiddlewareList,
+      contextFields: { service: this },
+      type, // "send", "ask", "reply" or "event"
+      messageId,
+      exchangeName,
+      routingKey,
       data,
-    };
+      additionalMetadata,
+    });
+  }
+
+  async handleInputMessage(msg, ch) {
+    if (this.isServiceStopping) {
+      // message was delivered while service is stopping, leave it to the other consumers
+      await ch.nack(msg, false, true);
+      return;
+    }
+
+    const receivedAt = Date.now();
+
+    let ctx;
+    let span;
+    let listenerError;
+    let messageFields = getMessageLogFields(msg, undefined, this.inputQueueName);
+
+    let parsedMessage;
+
+    try {
+      parsedMessage = decodeMessage(msg, this.codec);
+    } catch (e) {
+      this.logger.error(
+        { ...this.logFields, ...messageFields, err: e },
+        'Message can not be decoded, it is moved to the dead queue',
+      );
+      this.emitEvent('error', { ...messageFields, error: e });
+
+      // redelivered message would fail the same way, so it is not returned to the queue
+      const outcome = await deadLetterMessage({
+        channel: ch,
+        msg,
+        error: e,
+        queueName: this.inputQueueName,
+        deadQueueName: this.inputDeadQueueName,
+        shouldDiscardMessages: this.shouldDiscardMessages,
+      });
+
+      this.emitEvent('nack', {
+        ...messageFields,
+        error: e,
+        outcome,
+        duration: Date.now() - receivedAt,
+      });
+
+      return;
+    }
+
+    try {
+      const { data, metadata } = parsedMessage;
+
+      messageFields = getMessageLogFields(msg, metadata, this.inputQueueName);
+
+      this.emitEvent('message', { ...messageFields, metadata, data });
+
+      if (metadata.ask && metadata.deadline !== undefined && metadata.deadline <= Date.now()) {
+        this.logger.debug(
+          { ...this.logFields, ...messageFields },
+          'Ask deadline has passed, request is skipped',
+        );
+
+        // asking side is not waiting for the reply anymore
+        await ch.ack(msg);
+        this.emitEvent('ack', { ...messageFields, duration: Date.now() - receivedAt });
+
+        return;
+      }
 
-    return this.outputChannel.publish(this.namespace, this.outputQueueName, payload);
+      span = startSpan(this.tracer, `process ${this.inputQueueName}`, {
+        kind: SpanKind.CONSUMER,
+        attributes: getMessagingAttributes({
+          operation: 'process',
+          destination: this.inputQueueName,
+          messageId: metadata.messageId,
+          subject: metadata.subject,
+        }),
+        metadata,
+      });
+
+      ctx = new ListenerContext({
+        rabbitMessage: msg,
+        rabbitChannel: ch,
+        service: this,
+        metadata,
+        data,
+        trace: span.trace,
+      });
+
+      if (metadata.ask && metadata.subject !== undefined) {
+        const askListener = this.askListenersMap[metadata.subject] || (() => {
+          throw new Error(`Received ask request for subject "${metadata.subject}" but no listener registered`);
+        });
+
+        const askHandler = composeMiddleware([
+          ...this.rootMiddlewareList,
+          ...(this.subjectMiddlewareMap[metadata.subject] || []),
+          askListener,
+        ]);
+
+        try {
+          await propagationStorage.run(ctx.propagatedMetadata, () => askHandler(ctx));
+        } catch (e) {
+          listenerError = e;
+
+          this.logger.error(
+            { ...this.logFields, ...messageFields, err: e },
+            'Ask listener failed, error is replied to the asking side',
+          );
+          this.emitEvent('error', { ...messageFields, error: e });
+
+          // asking side gets the error instead of waiting for the timeout,
+          // so there is no point to return the message to the queue
+          const isReplied = await replyListenerError({
+            instance: this,
+            ctx,
+            error: e,
+            queueName: this.inputQueueName,
+            deadQueueName: this.inputDeadQueueName,
+            messageFields,
+            receivedAt,
+          });
+
+          if (!isReplied) {
+            return;
+          }
+        }
+      } else {
+        const inputListener = this.getInputListener(metadata.subject);
+
+        if (typeof inputListener !== 'function') {
+          const error = new Error(`Received message with subject "${metadata.subject}" but no listener registered`);
+
+          listenerError = error;
+
+          this.logger.warn(
+            { ...this.logFields, ...messageFields },
+            'No listener registered for the message subject, message is moved to the dead queue',
+          );
+
+          // nobody is going to process this message, so there is no point to retry it
+          const outcome = await deadLetterMessage({
+            channel: ch,
+            msg,
+            error,
+            queueName: this.inputQueueName,
+            deadQueueName: this.inputDeadQueueName,
+            shouldDiscardMessages: this.shouldDiscardMessages,
+          });
+
+          this.emitEvent('nack', {
+            ...messageFields,
+            error,
+            outcome,
+            duration: Date.now() - receivedAt,
+          });
+
+          return;
+        }
+
+        const inputHandler = composeMiddleware([
+          ...this.rootMiddlewareList,
+          ...(this.subjectMiddlewareMap[metadata.subject] || []),
+          inputListener,
+        ]);
+
+        await propagationStorage.run(ctx.propagatedMetadata, () => inputHandler(ctx));
+      }
+
+      await ch.ack(msg);
+      this.emitEvent('ack', { ...messageFields, duration: Date.now() - receivedAt });
+    } catch (e) {
+      listenerError = e;
+
+      this.logger.error({ ...this.logFields, ...messageFields, err: e }, 'Input listener failed');
+      this.emitEvent('error', { ...messageFields, error: e });
+
+      const outcome = await rejectMessage({
+        channel: ch,
+        msg,
+        error: e,
+        retry: this.retry,
+        queueName: this.inputQueueName,
+        deadQueueName: this.inputDeadQueueName,
+        shouldDiscardMessages: this.shouldDiscardMessages,
+      });
+
+      this.emitEvent('nack', {
+        ...messageFields,
+        error: e,
+        outcome,
+        duration: Date.now() - receivedAt,
+      });
+    } finally {
+      if (span !== undefined) {
+        span.end(listenerError);
+      }
+
+      if (ctx !== undefined) {
+        ctx.dispose();
+      }
+    }
   }
 
   async start() {
+    this.isServiceStopped = false;
+
+    if (!this.rabbitClient && this.transport === 'memory') {
+      this.rabbitClient = new MemoryClient({
+        appName: this.name,
+        json: true,
+      });
+    }
+
     if (!this.rabbitClient) {
       this.rabbitClient = new RabbitClient(this.rabbitOptions.url, {
         appName: this.name,
@@ -113,84 +508,150 @@ module.exports = class Service {
 
     if (this.isOutputEnabled) {
       this.outputChannel = await this.rabbitClient.getChannel({
-        onReconnect: async (channel) => {
+        onReconnect: watchReconnects(async (channel) => {
           await channel.assertExchange(this.namespace, 'direct');
 
-          await channel.assertQueue(this.outputQueueName);
+          if (this.useDefaultOutputQueue) {
+            await channel.assertQueue(this.outputQueueName);
+            await channel.bindQueue(this.outputQueueName, this.namespace, this.outputQueueName);
+          }
+
+          await channel.assertExchange(this.eventsExchangeName, 'topic');
 
-          await channel.bindQueue(this.outputQueueName, this.namespace, this.outputQueueName);
-        },
+          this.outputChannel = channel;
+        }, () => this.emitEvent('reconnected', { channel: 'output', queue: this.outputQueueName })),
       });
     }
 
     if (this.isInputEnabled) {
-      if (typeof this.inputListener !== 'function' && Object.keys(this.askListenersMap).length === 0) {
+      const hasListeners = typeof this.inputListener === 'function'
+        || this.subjectListenerList.length > 0
+        || Object.keys(this.askListenersMap).length > 0;
+
+      if (!hasListeners) {
         throw new Error('Service input is enabled but no listener is provided');
       }
 
       this.inputChannel = await this.rabbitClient.getChannel({
-        onReconnect: async (channel) => {
+        onReconnect: watchReconnects(async (channel) => {
           await channel.assertExchange(this.namespace, 'direct');
           await channel.assertQueue(this.inputQueueName);
           await channel.bindQueue(this.inputQueueName, this.namespace, this.inputQueueName);
           await channel.prefetch(this.inputPrefetch);
 
-          await channel.consume(this.inputQueueName, async (msg, ch, parsedMessage) => {
-            try {
-              const { data, metadata } = parsedMessage;
-
-              const ctx = new ListenerContext({
-                rabbitMessage: msg,
-                rabbitChannel: ch,
-                service: this,
-                metadata,
-                data,
-              });
-
-              if (metadata.ask && metadata.subject !== undefined) {
-                const askListener = this.askListenersMap[metadata.subject];
-
-                if (askListener === undefined) {
-                  throw new Error(`Received ask request for subject "${metadata.subject}" but no listener registered`);
-                }
-
-                await askListener(ctx);
-              } else {
-                await this.inputListener(ctx);
-              }
-
-              await ch.ack(msg);
-            } catch (e) {
-              console.error(e);
-              await ch.nack(msg, false, !this.shouldDiscardMessages);
-            }
-          });
-        },
+          // messages which can not be decoded are moved to the dead queue, as well as
+          // messages of unknown subjects, exhausted retries and asks whose error can not be replied
+          if (!this.shouldDiscardMessages) {
+            await channel.assertQueue(this.inputDeadQueueName);
+          }
+
+          const { consumerTag } = await channel.consume(
+            this.inputQueueName,
+            (msg, ch) => this.listenerCalls.track(this.handleInputMessage(msg, ch)),
+          );
+
+          this.inputChannel = channel;
+          this.inputConsumerTag = consumerTag;
+        }, () => this.emitEvent('reconnected', { channel: 'input', queue: this.inputQueueName })),
+      });
+    }
+
+    if (this.useAsk) {
+      this.replyChannel = await this.rabbitClient.getChannel({
+        onReconnect: watchReconnects(async (channel) => {
+          await channel.assertExchange(this.namespace, 'direct');
+          await channel.assertQueue(this.replyQueueName, { exclusive: true });
+          await channel.bindQueue(this.replyQueueName, this.namespace, this.replyQueueName);
+
+          const { consumerTag } = await channel.consume(
+            this.replyQueueName,
+            (msg, ch) => this.listenerCalls.track(handleReplyMessage(this, msg, ch)),
+          );
+
+          this.replyChannel = channel;
+          this.replyConsumerTag = consumerTag;
+        }, () => this.emitEvent('reconnected', { channel: 'reply', queue: this.replyQueueName })),
       });
     }
 
     this.isServiceStarted = true;
 
-    if (process.env.NODE_ENV !== 'test') {
-      console.log(`Service "${this.name}" successfully started`);
-      console.log(`﹂RabbitMQ connection url: ${this.rabbitClient.rabbitUrl}`);
-      console.log(`﹂Input queue name: ${this.isInputEnabled ? this.inputQueueName : 'DISABLED'}`);
-      console.log(`﹂Output queue name: ${this.isOutputEnabled ? this.outputQueueName : 'DISABLED'}\n`);
+    const startInfo = {
+      rabbitUrl: this.rabbitClient.rabbitUrl,
+      inputQueue: this.isInputEnabled ? this.inputQueueName : undefined,
+      outputQueue: this.isOutputEnabled && this.useDefaultOutputQueue
+        ? this.outputQueueName
+        : undefined,
+      eventsExchange: this.isOutputEnabled ? this.eventsExchangeName : undefined,
+      replyQueue: this.useAsk ? this.replyQueueName : undefined,
+    };
+
+    this.logger.info({ ...this.logFields, ...startInfo }, 'Service started');
+    this.emitEvent('started', startInfo);
+  }
+
+  async stop({ drainTimeout = 5e3 } = {}) {
+    if (!this.isServiceStarted) {
+      // messages waiting for the start are rejected
+      this.isServiceStopped = true;
+      return;
+    }
+
+    this.isServiceStopping = true;
+
+    if (this.inputChannel) {
+      await this.inputChannel.cancel(this.inputConsumerTag);
     }
+
+    if (this.replyChannel) {
+      await this.replyChannel.cancel(this.replyConsumerTag);
+    }
+
+    await this.listenerCalls.drain(drainTimeout);
+
+    this.askRegistry.rejectAll(new Error(
+      `Service "${this.name}" was stopped before the communicator responded`,
+    ));
+
+    await Promise.all(
+      [this.inputChannel, this.outputChannel, this.replyChannel].filter(Boolean).map(closeChannel),
+    );
+
+    this.isServiceStarted = false;
+    this.isServiceStopping = false;
+    this.isServiceStopped = true;
+
+    this.logger.info(this.logFields, 'Service stopped');
+    this.emitEvent('stopped');
   }
 
+  emitEvent(eventName, payload = {}) {
+    emitEvent(this.events, eventName, { ...this.logFields, ...payload });
+  }
+
+  // rejects if the service is stopped (or stops while waiting), since it is not going to start
   async verifyStart() {
-    return new Promise((resolve) => {
+    const stoppedError = () => new Error(`Service "${this.name}" is stopped, can not send message`);
+
+    return new Promise((resolve, reject) => {
       if (this.isServiceStarted) {
         resolve();
         return;
       }
 
+      if (this.isServiceStopped) {
+        reject(stoppedError());
+        return;
+      }
+
       // wait for instance to start
       const intervalId = setInterval(() => {
         if (this.isServiceStarted) {
           clearInterval(intervalId);
           resolve();
+        } else if (this.isServiceStopped) {
+          clearInterval(intervalId);
+          reject(stoppedError());
         }
       }, 50);
     });
@@ -0,0 +1,61 @@
+const json = require('./json');
+const msgpack = require('./msgpack');
+const raw = require('./raw');
+
+const builtInCodecMap = { json, msgpack, raw }; // name -> codec
+
+/*
+ * Turns "codec" option (built-in codec name or custom codec object)
+ * into the codec object, JSON codec is used by default
+ */
+const resolveCodec = (codec = 'json') => {
+  if (typeof codec === 'string') {
+    if (builtInCodecMap[codec] === undefined) {
+      throw new Error(`Unknown codec "${codec}", built-in codecs are: ${Object.keys(builtInCodecMap).join(', ')}`);
+    }
+
+    return builtInCodecMap[codec];
+  }
+
+  if (
+    !codec
+    || typeof codec.encode !== 'function'
+    || typeof codec.decode !== 'function'
+    || typeof codec.contentType !== 'string'
+  ) {
+    throw new Error('Codec must have "encode" and "decode" methods and "contentType" string');
+  }
+
+  return codec;
+};
+
+/*
+ * Decodes received message using the codec
+ * matching its content type, so messages from the peers
+ * with different codec configuration can be read as well
+ *
+ * Messages without content type are treated as JSON
+ */
+const decodeMessage = (msg, ownCodec) => {
+  const { contentType } = msg.properties;
+
+  if (contentType === undefined || contentType === ownCodec.contentType) {
+    return (contentType === undefined ? json : ownCodec).decode(msg.content);
+  }
+
+  const codec = Object.values(builtInCodecMap).find(item => item.contentType === contentType);
+
+  if (codec === undefined) {
+    throw new Error(`Can not decode message with unknown content type "${contentType}"`);
+  }
+
+  return codec.decode(msg.content);
+};
+
+module.exports = {
+  json,
+  msgpack,
+  raw,
+  resolveCodec,
+  decodeMessage,
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  name: 'json',
+  contentType: 'application/json',
+  encode: payload => Buffer.from(JSON.stringify(payload)),
+  decode: buffer => JSON.parse(buffer.toString()),
+};
@@ -0,0 +1,13 @@
+const { encode, decode } = require('@msgpack/msgpack');
+
+module.exports = {
+  name: 'msgpack',
+  contentType: 'application/msgpack',
+  encode: (payload) => {
+    const bytes = encode(payload);
+
+    // encode() returns Uint8Array view, Buffer shares its memory without copying
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  },
+  decode: buffer => decode(buffer),
+};
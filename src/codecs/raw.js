@@ -0,0 +1,45 @@
+/*
+ * Raw binary codec, message data must be a Buffer
+ * and is transferred as is, without any serialization
+ *
+ * Data of error and progress replies (see ctx.replyError and ctx.progress) is produced
+ * by the library, so it is JSON-encoded if it is not a Buffer and marked with "isJsonData" flag
+ *
+ * Message layout:
+ * [metadata length: UInt32BE][metadata: JSON][data: raw bytes]
+ */
+
+const isControlMessage = metadata => Boolean(metadata && (metadata.isError || metadata.isProgress));
+
+module.exports = {
+  name: 'raw',
+  contentType: 'application/vnd.rabbit-communications.raw',
+  encode: ({ metadata, data }) => {
+    const isJsonData = data !== undefined && data !== null && !Buffer.isBuffer(data);
+
+    if (isJsonData && !isControlMessage(metadata)) {
+      throw new Error('Message data must be a Buffer when "raw" codec is used');
+    }
+
+    const metadataBuffer = Buffer.from(JSON.stringify(
+      isJsonData ? { ...metadata, isJsonData } : metadata || {},
+    ));
+    const lengthBuffer = Buffer.alloc(4);
+
+    lengthBuffer.writeUInt32BE(metadataBuffer.length, 0);
+
+    const dataBuffer = isJsonData ? Buffer.from(JSON.stringify(data)) : data || Buffer.alloc(0);
+
+    return Buffer.concat([lengthBuffer, metadataBuffer, dataBuffer]);
+  },
+  decode: (buffer) => {
+    const metadataLength = buffer.readUInt32BE(0);
+    const { isJsonData, ...metadata } = JSON.parse(buffer.slice(4, 4 + metadataLength).toString());
+    const data = buffer.slice(4 + metadataLength);
+
+    return {
+      metadata,
+      data: isJsonData ? JSON.parse(data.toString()) : data,
+    };
+  },
+};
@@ -2,10 +2,27 @@ const RabbitClient = require('rabbit-client');
 const CommunicationsManager = require('./CommunicationsManager');
 const Communicator = require('./Communicator');
 const Service = require('./Service');
+const { MemoryBroker, MemoryClient } = require('./memory');
+const { MetricsCollector } = require('./metrics');
+const { InMemoryTracer, SpanKind, SpanStatusCode } = require('./tracing');
+const { json, msgpack, raw } = require('./codecs');
 
 module.exports = {
   RabbitClient,
+  MemoryBroker,
+  MemoryClient,
   CommunicationsManager,
   Communicator,
   Service,
+  MetricsCollector,
+  codecs: {
+    json,
+    msgpack,
+    raw,
+  },
+  tracing: {
+    InMemoryTracer,
+    SpanKind,
+    SpanStatusCode,
+  },
 };
@@ -0,0 +1,313 @@
+const nanoid = require('nanoid');
+const { matchTopic } = require('../utils');
+
+/*
+ * In-process replacement of the RabbitMQ server
+ *
+ * Keeps exchanges, queues and bindings in memory
+ * and delivers messages to the consumers of MemoryChannel instances
+ * (one broker is shared by all channels of all MemoryClient instances by default)
+ */
+
+module.exports = class MemoryBroker {
+  constructor() {
+    this.exchanges = {}; // name -> { type, bindings: [{ queueName, pattern }] }
+    this.queues = {}; // name -> { name, options, messages, consumers, ... }
+  }
+
+  assertExchange(name, type, options = {}) {
+    const exchange = this.exchanges[name];
+
+    if (exchange !== undefined) {
+      if (exchange.type !== type) {
+        throw new Error(`PRECONDITION_FAILED - exchange "${name}" is declared with type "${exchange.type}", not "${type}"`);
+      }
+
+      return exchange;
+    }
+
+    this.exchanges[name] = {
+      name,
+      type,
+      options,
+      bindings: [],
+    };
+
+    return this.exchanges[name];
+  }
+
+  deleteExchange(name) {
+    delete this.exchanges[name];
+  }
+
+  getExchange(name) {
+    const exchange = this.exchanges[name];
+
+    if (exchange === undefined) {
+      throw new Error(`NOT_FOUND - no exchange "${name}"`);
+    }
+
+    return exchange;
+  }
+
+  assertQueue(name, options = {}) {
+    const queueName = name || `amq.gen-${nanoid(22)}`;
+
+    if (this.queues[queueName] === undefined) {
+      this.queues[queueName] = {
+        name: queueName,
+        options,
+        messages: [],
+        consumers: [],
+        nextConsumerIndex: 0,
+        isDispatchScheduled: false,
+      };
+    }
+
+    return this.getQueueInfo(queueName);
+  }
+
+  getQueue(name) {
+    const queue = this.queues[name];
+
+    if (queue === undefined) {
+      throw new Error(`NOT_FOUND - no queue "${name}"`);
+    }
+
+    return queue;
+  }
+
+  getQueueInfo(name) {
+    const queue = this.getQueue(name);
+
+    return {
+      queue: queue.name,
+      messageCount: queue.messages.length,
+      consumerCount: queue.consumers.length,
+    };
+  }
+
+  deleteQueue(name) {
+    const queue = this.queues[name];
+
+    if (queue === undefined) {
+      return { messageCount: 0 };
+    }
+
+    queue.consumers.forEach(consumer => consumer.channel.forgetConsumer(consumer.tag));
+
+    Object.values(this.exchanges).forEach((exchange) => {
+      // eslint-disable-next-line no-param-reassign
+      exchange.bindings = exchange.bindings.filter(binding => binding.queueName !== name);
+    });
+
+    delete this.queues[name];
+
+    return { messageCount: queue.messages.length };
+  }
+
+  bindQueue(queueName, exchangeName, pattern) {
+    this.getQueue(queueName);
+
+    const exchange = this.getExchange(exchangeName);
+
+    const isAlreadyBound = exchange.bindings.some(
+      binding => binding.queueName === queueName && binding.pattern === pattern,
+    );
+
+    if (!isAlreadyBound) {
+      exchange.bindings.push({ queueName, pattern });
+    }
+  }
+
+  unbindQueue(queueName, exchangeName, pattern) {
+    const exchange = this.getExchange(exchangeName);
+
+    exchange.bindings = exchange.bindings.filter(
+      binding => binding.queueName !== queueName || binding.pattern !== pattern,
+    );
+  }
+
+  route(exchangeName, routingKey) {
+    // default exchange routes directly to the queue with the same name
+    if (exchangeName === '') {
+      return this.queues[routingKey] === undefined ? [] : [routingKey];
+    }
+
+    const { type, bindings } = this.getExchange(exchangeName);
+
+    const matchingBindings = bindings.filter(({ pattern }) => {
+      switch (type) {
+        case 'fanout':
+          return true;
+        case 'topic':
+          return matchTopic(pattern, routingKey);
+        default:
+          return pattern === routingKey;
+      }
+    });
+
+    // queue bound several times still receives single copy of the message
+    return Array.from(new Set(matchingBindings.map(({ queueName }) => queueName)));
+  }
+
+  publish(exchangeName, routingKey, content, properties = {}) {
+    const queueNames = this.route(exchangeName, routingKey);
+
+    queueNames.forEach(queueName => this.enqueue(queueName, {
+      content,
+      properties,
+      exchange: exchangeName,
+      routingKey,
+      redelivered: false,
+    }));
+
+    return true;
+  }
+
+  enqueue(queueName, message) {
+    const queue = this.queues[queueName];
+
+    // queue was deleted, message is lost (as it would be on a real broker)
+    if (queue === undefined) {
+      return;
+    }
+
+    queue.messages.push(message);
+
+    const messageTtl = this.getQueueArgument(queue, 'messageTtl', 'x-message-ttl');
+
+    if (messageTtl !== undefined) {
+      setTimeout(() => this.expire(queue, message), messageTtl);
+    }
+
+    this.scheduleDispatch(queue);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getQueueArgument(queue, optionName, argumentName) {
+    const { options } = queue;
+
+    if (options[optionName] !== undefined) {
+      return options[optionName];
+    }
+
+    return (options.arguments || {})[argumentName];
+  }
+
+  expire(queue, message) {
+    const index = queue.messages.indexOf(message);
+
+    // message was already consumed
+    if (index === -1) {
+      return;
+    }
+
+    queue.messages.splice(index, 1);
+
+    this.deadLetter(queue.name, message);
+  }
+
+  // rejected (without requeue) or expired message is routed to the queue's dead letter exchange
+  deadLetter(queueName, message) {
+    const queue = this.queues[queueName];
+
+    if (queue === undefined) {
+      return;
+    }
+
+    const exchangeName = this.getQueueArgument(queue, 'deadLetterExchange', 'x-dead-letter-exchange');
+
+    if (exchangeName === undefined) {
+      return;
+    }
+
+    const routingKey = this.getQueueArgument(queue, 'deadLetterRoutingKey', 'x-dead-letter-routing-key');
+
+    this.publish(
+      exchangeName,
+      routingKey === undefined ? message.routingKey : routingKey,
+      message.content,
+      message.properties,
+    );
+  }
+
+  requeue(queueName, message) {
+    const queue = this.queues[queueName];
+
+    if (queue === undefined) {
+      return;
+    }
+
+    // requeued messages are placed at the head of the queue
+    queue.messages.unshift({ ...message, redelivered: true });
+
+    this.scheduleDispatch(queue);
+  }
+
+  addConsumer(queueName, consumer) {
+    const queue = this.getQueue(queueName);
+
+    queue.consumers.push(consumer);
+
+    this.scheduleDispatch(queue);
+  }
+
+  removeConsumer(queueName, consumerTag) {
+    const queue = this.queues[queueName];
+
+    if (queue === undefined) {
+      return;
+    }
+
+    queue.consumers = queue.consumers.filter(consumer => consumer.tag !== consumerTag);
+  }
+
+  scheduleDispatch(queueOrName) {
+    const queue = typeof queueOrName === 'string' ? this.queues[queueOrName] : queueOrName;
+
+    if (queue === undefined || queue.isDispatchScheduled) {
+      return;
+    }
+
+    queue.isDispatchScheduled = true;
+
+    // deliver asynchronously, like messages coming from the network
+    setImmediate(() => {
+      queue.isDispatchScheduled = false;
+      this.dispatch(queue);
+    });
+  }
+
+  dispatch(queue) {
+    while (queue.messages.length > 0) {
+      const consumer = this.getNextAvailableConsumer(queue);
+
+      if (consumer === undefined) {
+        return;
+      }
+
+      consumer.channel.deliver(consumer, queue.messages.shift());
+    }
+  }
+
+  // round-robin between consumers which have not reached their prefetch limit
+  // eslint-disable-next-line class-methods-use-this
+  getNextAvailableConsumer(queue) {
+    const { consumers } = queue;
+
+    for (let i = 0; i < consumers.length; i += 1) {
+      const index = (queue.nextConsumerIndex + i) % consumers.length;
+      const consumer = consumers[index];
+
+      if (consumer.prefetch === 0 || consumer.unackedCount < consumer.prefetch) {
+        // eslint-disable-next-line no-param-reassign
+        queue.nextConsumerIndex = index + 1;
+
+        return consumer;
+      }
+    }
+
+    return undefined;
+  }
+};
@@ -0,0 +1,231 @@
+const EventEmitter = require('events');
+const nanoid = require('nanoid');
+
+/*
+ * Subset of amqplib channel API used by this library,
+ * working on top of MemoryBroker instead of RabbitMQ connection
+ *
+ * Prefetch is applied per consumer (like amqplib's "global: false" default),
+ * unacked messages are returned to their queues when channel is closed
+ * and exclusive queues declared by the channel are deleted (like on RabbitMQ connection close),
+ * rejected messages are dead-lettered if the queue has dead letter exchange
+ */
+
+module.exports = class MemoryChannel extends EventEmitter {
+  constructor(broker) {
+    super();
+
+    this.broker = broker;
+    this.prefetchCount = 0;
+    this.lastDeliveryTag = 0;
+    this.consumers = {}; // consumerTag -> consumer
+    this.unackedMap = new Map(); // deliveryTag -> { consumer, message }
+    this.exclusiveQueueNames = new Set(); // deleted on close
+    this.isClosed = false;
+  }
+
+  verifyOpen() {
+    if (this.isClosed) {
+      throw new Error('Channel closed');
+    }
+  }
+
+  async assertExchange(name, type = 'direct', options) {
+    this.verifyOpen();
+    this.broker.assertExchange(name, type, options);
+
+    return { exchange: name };
+  }
+
+  async deleteExchange(name) {
+    this.verifyOpen();
+    this.broker.deleteExchange(name);
+
+    return {};
+  }
+
+  async assertQueue(name, options = {}) {
+    this.verifyOpen();
+
+    const queueInfo = this.broker.assertQueue(name, options);
+
+    if (options.exclusive) {
+      this.exclusiveQueueNames.add(queueInfo.queue);
+    }
+
+    return queueInfo;
+  }
+
+  async checkQueue(name) {
+    this.verifyOpen();
+
+    return this.broker.getQueueInfo(name);
+  }
+
+  async deleteQueue(name) {
+    this.verifyOpen();
+
+    return this.broker.deleteQueue(name);
+  }
+
+  async bindQueue(queueName, exchangeName, pattern) {
+    this.verifyOpen();
+    this.broker.bindQueue(queueName, exchangeName, pattern);
+
+    return {};
+  }
+
+  async unbindQueue(queueName, exchangeName, pattern) {
+    this.verifyOpen();
+    this.broker.unbindQueue(queueName, exchangeName, pattern);
+
+    return {};
+  }
+
+  async prefetch(count) {
+    this.verifyOpen();
+    this.prefetchCount = count;
+
+    return {};
+  }
+
+  publish(exchangeName, routingKey, content, options = {}) {
+    this.verifyOpen();
+
+    return this.broker.publish(exchangeName, routingKey, content, options);
+  }
+
+  sendToQueue(queueName, content, options) {
+    this.verifyOpen();
+
+    return this.broker.publish('', queueName, content, options);
+  }
+
+  async consume(queueName, onMessage, options = {}) {
+    this.verifyOpen();
+
+    const consumer = {
+      tag: options.consumerTag || `amq.ctag-${nanoid(22)}`,
+      channel: this,
+      queueName,
+      onMessage,
+      noAck: options.noAck === true,
+      prefetch: this.prefetchCount,
+      unackedCount: 0,
+    };
+
+    this.consumers[consumer.tag] = consumer;
+    this.broker.addConsumer(queueName, consumer);
+
+    return { consumerTag: consumer.tag };
+  }
+
+  async cancel(consumerTag) {
+    this.verifyOpen();
+    this.forgetConsumer(consumerTag);
+
+    return { consumerTag };
+  }
+
+  // called by broker as well, when consumed queue is deleted
+  forgetConsumer(consumerTag) {
+    const consumer = this.consumers[consumerTag];
+
+    if (consumer === undefined) {
+      return;
+    }
+
+    delete this.consumers[consumerTag];
+    this.broker.removeConsumer(consumer.queueName, consumerTag);
+  }
+
+  deliver(consumer, message) {
+    this.lastDeliveryTag += 1;
+
+    const msg = {
+      content: message.content,
+      fields: {
+        consumerTag: consumer.tag,
+        deliveryTag: this.lastDeliveryTag,
+        redelivered: message.redelivered,
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+      },
+      properties: {
+        headers: {},
+        ...message.properties,
+      },
+    };
+
+    if (!consumer.noAck) {
+      // eslint-disable-next-line no-param-reassign
+      consumer.unackedCount += 1;
+      this.unackedMap.set(msg.fields.deliveryTag, { consumer, message });
+    }
+
+    consumer.onMessage(msg);
+  }
+
+  // "isRejected" is set by nack() and reject() only, acknowledged messages are never dead-lettered
+  settle(msg, allUpTo, { isRejected = false, requeue = false } = {}) {
+    this.verifyOpen();
+
+    const { deliveryTag } = msg.fields;
+
+    if (!this.unackedMap.has(deliveryTag)) {
+      throw new Error(`PRECONDITION_FAILED - unknown delivery tag ${deliveryTag}`);
+    }
+
+    const deliveryTags = allUpTo
+      ? Array.from(this.unackedMap.keys()).filter(tag => tag <= deliveryTag)
+      : [deliveryTag];
+
+    deliveryTags.forEach((tag) => {
+      const { consumer, message } = this.unackedMap.get(tag);
+
+      this.unackedMap.delete(tag);
+      consumer.unackedCount -= 1;
+
+      if (isRejected && requeue) {
+        this.broker.requeue(consumer.queueName, message);
+      } else if (isRejected) {
+        this.broker.deadLetter(consumer.queueName, message);
+      }
+
+      // consumer may accept next message now
+      this.broker.scheduleDispatch(consumer.queueName);
+    });
+  }
+
+  ack(msg, allUpTo = false) {
+    this.settle(msg, allUpTo);
+  }
+
+  nack(msg, allUpTo = false, requeue = true) {
+    this.settle(msg, allUpTo, { isRejected: true, requeue });
+  }
+
+  reject(msg, requeue = true) {
+    this.settle(msg, false, { isRejected: true, requeue });
+  }
+
+  async close() {
+    this.verifyOpen();
+
+    Object.keys(this.consumers).forEach(consumerTag => this.forgetConsumer(consumerTag));
+
+    // unacked messages go back to the queues, like on a real channel close
+    this.unackedMap.forEach(({ consumer, message }) => {
+      this.broker.requeue(consumer.queueName, message);
+    });
+
+    this.unackedMap.clear();
+
+    this.exclusiveQueueNames.forEach(queueName => this.broker.deleteQueue(queueName));
+    this.exclusiveQueueNames.clear();
+
+    this.isClosed = true;
+
+    this.emit('close');
+  }
+};
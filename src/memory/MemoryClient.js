@@ -0,0 +1,92 @@
+const MemoryBroker = require('./MemoryBroker');
+const MemoryChannel = require('./MemoryChannel');
+
+const defaultBroker = new MemoryBroker();
+
+// same conversion rabbit-client applies to published content
+const convertToBuffer = (content) => {
+  if (content instanceof Buffer) {
+    return content;
+  }
+
+  if (typeof content === 'string') {
+    return Buffer.from(content);
+  }
+
+  if (typeof content === 'object') {
+    return Buffer.from(JSON.stringify(content));
+  }
+
+  return Buffer.from(content.toString());
+};
+
+/*
+ * Drop-in replacement of RabbitClient (rabbit-client npm package)
+ * that works without RabbitMQ, see "transport: 'memory'" option
+ *
+ * All clients share the same in-process broker unless
+ * another MemoryBroker instance is passed in options
+ */
+
+module.exports = class MemoryClient {
+  constructor(options = {}) {
+    this.rabbitUrl = 'memory://';
+    this.broker = options.broker || defaultBroker;
+
+    this.options = {
+      json: false,
+      ...options,
+    };
+  }
+
+  async getChannel(options = {}) {
+    const channel = new MemoryChannel(this.broker);
+
+    const publish = channel.publish.bind(channel);
+
+    channel.publish = (exchange, routingKey, content, publishOptions) => publish(
+      exchange, routingKey, convertToBuffer(content), publishOptions,
+    );
+
+    const sendToQueue = channel.sendToQueue.bind(channel);
+
+    channel.sendToQueue = (queueName, content, sendToQueueOptions) => sendToQueue(
+      queueName, convertToBuffer(content), sendToQueueOptions,
+    );
+
+    const consume = channel.consume.bind(channel);
+
+    channel.consume = (queueName, onMessage, consumeOptions) => consume(
+      queueName,
+      (msg) => {
+        const data = msg.content.toString();
+
+        if (this.options.json === true) {
+          let json = null;
+
+          try {
+            json = JSON.parse(data);
+          } catch (e) {
+            // unparsable content is passed as null, like rabbit-client does
+          }
+
+          onMessage(msg, channel, json);
+
+          return;
+        }
+
+        onMessage(msg, channel, data);
+      },
+      consumeOptions,
+    );
+
+    if (typeof options.onReconnect === 'function') {
+      // closed channel is reopened, see closeChannel util for intentional close
+      channel.on('close', () => this.getChannel(options));
+
+      await options.onReconnect(channel);
+    }
+
+    return channel;
+  }
+};
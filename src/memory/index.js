@@ -0,0 +1,9 @@
+const MemoryBroker = require('./MemoryBroker');
+const MemoryChannel = require('./MemoryChannel');
+const MemoryClient = require('./MemoryClient');
+
+module.exports = {
+  MemoryBroker,
+  MemoryChannel,
+  MemoryClient,
+};
@@ -0,0 +1,156 @@
+const CommunicationsManager = require('../CommunicationsManager');
+const MetricsRegistry = require('./MetricsRegistry');
+
+// labels of the instance the event is emitted by
+const getInstanceLabels = ({ component, namespace, service }) => ({
+  component,
+  namespace,
+  service,
+});
+
+// service's events have no subject, event name is used instead
+const getSubjectLabels = payload => ({
+  ...getInstanceLabels(payload),
+  subject: payload.subject || payload.eventName || '',
+});
+
+/*
+ * Collects metrics of messaging traffic from the events
+ * of attached Service, Communicator and CommunicationsManager instances
+ * (see "events" property of them), so no changes of listeners are required
+ *
+ * Usage:
+ * const metrics = new MetricsCollector();
+ *
+ * metrics.attach(service);
+ * metrics.attach(manager); // includes all communicators of the manager
+ *
+ * app.get('/metrics', (req, res) => res.type('text/plain').send(metrics.render()));
+ */
+
+module.exports = class MetricsCollector {
+  constructor({ prefix = 'rabbit_communications_', buckets } = {}) {
+    this.prefix = prefix;
+    this.registry = new MetricsRegistry({ buckets });
+    this.instanceListenersMap = new Map(); // instance -> { eventName -> listener }
+
+    this.registry.counter(this.getName('messages_published_total'), 'Number of published messages');
+    this.registry.counter(this.getName('messages_consumed_total'), 'Number of received messages');
+    this.registry.counter(this.getName('messages_acked_total'), 'Number of processed and acknowledged messages');
+    this.registry.counter(
+      this.getName('messages_nacked_total'),
+      'Number of messages listener failed to process (or there is no listener for), by outcome',
+    );
+    this.registry.histogram(
+      this.getName('listener_duration_seconds'),
+      'Duration of message processing, from receiving to acknowledgement',
+    );
+    this.registry.gauge(
+      this.getName('pending_asks'),
+      'Number of asks waiting for the reply',
+      () => this.collectPendingAsks(),
+    );
+    this.registry.histogram(this.getName('ask_duration_seconds'), 'Duration of replied asks');
+    this.registry.counter(this.getName('ask_timeouts_total'), 'Number of asks not replied in time');
+  }
+
+  getName(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  attach(instance) {
+    if (this.instanceListenersMap.has(instance)) {
+      return;
+    }
+
+    const listeners = {
+      published: (payload) => {
+        this.registry.inc(this.getName('messages_published_total'), {
+          ...getSubjectLabels(payload),
+          type: payload.type,
+        });
+      },
+      message: (payload) => {
+        this.registry.inc(this.getName('messages_consumed_total'), getSubjectLabels(payload));
+      },
+      ack: (payload) => {
+        this.registry.inc(this.getName('messages_acked_total'), getSubjectLabels(payload));
+        this.registry.observe(
+          this.getName('listener_duration_seconds'),
+          getSubjectLabels(payload),
+          payload.duration / 1e3,
+        );
+      },
+      nack: (payload) => {
+        this.registry.inc(this.getName('messages_nacked_total'), {
+          ...getSubjectLabels(payload),
+          outcome: payload.outcome,
+        });
+        this.registry.observe(
+          this.getName('listener_duration_seconds'),
+          getSubjectLabels(payload),
+          payload.duration / 1e3,
+        );
+      },
+      'ask:reply': (payload) => {
+        this.registry.observe(this.getName('ask_duration_seconds'), {
+          ...getSubjectLabels(payload),
+          status: payload.isError ? 'error' : 'replied',
+        }, payload.duration / 1e3);
+      },
+      'ask:timeout': (payload) => {
+        this.registry.inc(this.getName('ask_timeouts_total'), getSubjectLabels(payload));
+      },
+    };
+
+    Object.entries(listeners).forEach(([eventName, listener]) => {
+      instance.events.on(eventName, listener);
+    });
+
+    this.instanceListenersMap.set(instance, listeners);
+  }
+
+  detach(instance) {
+    const listeners = this.instanceListenersMap.get(instance);
+
+    if (listeners === undefined) {
+      return;
+    }
+
+    Object.entries(listeners).forEach(([eventName, listener]) => {
+      instance.events.removeListener(eventName, listener);
+    });
+
+    this.instanceListenersMap.delete(instance);
+  }
+
+  // asks of attached instances (and of communicators of attached managers) using "ask"
+  collectPendingAsks() {
+    const askingInstances = [];
+
+    this.instanceListenersMap.forEach((listeners, instance) => {
+      if (instance instanceof CommunicationsManager) {
+        askingInstances.push(...Object.values(instance.communicatorMap));
+      } else {
+        askingInstances.push(instance);
+      }
+    });
+
+    return askingInstances
+      .filter(({ useAsk }) => useAsk)
+      .map(instance => ({
+        labels: getInstanceLabels(instance.logFields),
+        value: instance.pendingAsksCount,
+      }));
+  }
+
+  // plain object with values of all metrics, see MetricsRegistry
+  getSnapshot() {
+    return this.registry.getSnapshot();
+  }
+
+  // metrics in Prometheus text exposition format
+  render() {
+    return this.registry.render();
+  }
+};
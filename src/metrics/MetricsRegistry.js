@@ -0,0 +1,183 @@
+// default buckets of Prometheus client libraries, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+
+  return String(value);
+};
+
+// series of the same metric are told apart by their labels
+const getSeriesKey = labels => JSON.stringify(
+  Object.keys(labels).sort().map(name => [name, labels[name]]),
+);
+
+// gauge values with the same labels (e.g. of several instances) are summed up
+const collectGaugeValues = (metric) => {
+  const valueMap = new Map(); // key -> { labels, value }
+
+  metric.collect().forEach(({ labels, value }) => {
+    const key = getSeriesKey(labels);
+    const current = valueMap.get(key) || { labels, value: 0 };
+
+    valueMap.set(key, { labels, value: current.value + value });
+  });
+
+  return Array.from(valueMap.values());
+};
+
+/*
+ * Keeps counters, gauges and histograms
+ * and renders them in Prometheus text exposition format
+ *
+ * Gauges are not stored, their values are collected on render
+ *
+ * Usage:
+ * const registry = new MetricsRegistry();
+ *
+ * registry.counter('requests_total', 'Number of requests');
+ * registry.gauge('queue_size', 'Size of the queue', () => [{ labels: {}, value: queue.length }]);
+ * registry.histogram('request_duration_seconds', 'Duration of requests');
+ *
+ * registry.inc('requests_total', { path: '/' });
+ * registry.observe('request_duration_seconds', { path: '/' }, 0.02);
+ *
+ * registry.render(); // # HELP requests_total Number of requests ...
+ * registry.getSnapshot(); // { requests_total: { type: 'counter', help, values: [...] }, ... }
+ */
+
+module.exports = class MetricsRegistry {
+  constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.metrics = new Map(); // name -> { type, help, series: Map(key -> series), collect }
+  }
+
+  counter(name, help) {
+    this.metrics.set(name, { type: 'counter', help, series: new Map() });
+  }
+
+  gauge(name, help, collect) {
+    this.metrics.set(name, { type: 'gauge', help, collect });
+  }
+
+  histogram(name, help) {
+    this.metrics.set(name, { type: 'histogram', help, series: new Map() });
+  }
+
+  getSeries(name, labels, createSeries) {
+    const metric = this.metrics.get(name);
+
+    if (metric === undefined) {
+      throw new Error(`Metric "${name}" is not registered`);
+    }
+
+    const key = getSeriesKey(labels);
+
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...createSeries() });
+    }
+
+    return metric.series.get(key);
+  }
+
+  inc(name, labels, value = 1) {
+    this.getSeries(name, labels, () => ({ value: 0 })).value += value;
+  }
+
+  observe(name, labels, value) {
+    const series = this.getSeries(name, labels, () => ({
+      bucketCounts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.bucketCounts[i] += 1;
+      }
+    });
+
+    series.sum += value;
+    series.count += 1;
+  }
+
+  getSnapshot() {
+    const snapshot = {};
+
+    this.metrics.forEach((metric, name) => {
+      let values;
+
+      if (metric.type === 'gauge') {
+        values = collectGaugeValues(metric);
+      } else if (metric.type === 'counter') {
+        values = Array.from(metric.series.values()).map(({ labels, value }) => ({ labels, value }));
+      } else {
+        values = Array.from(metric.series.values()).map(({
+          labels,
+          bucketCounts,
+          sum,
+          count,
+        }) => {
+          // cumulative counts of observations less than or equal to the bound
+          const buckets = [
+            ...this.buckets.map((le, i) => ({ le, count: bucketCounts[i] })),
+            { le: Infinity, count },
+          ];
+
+          return {
+            labels,
+            buckets,
+            sum,
+            count,
+          };
+        });
+      }
+
+      snapshot[name] = { type: metric.type, help: metric.help, values };
+    });
+
+    return snapshot;
+  }
+
+  render() {
+    const lines = [];
+
+    Object.entries(this.getSnapshot()).forEach(([name, { type, help, values }]) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+
+      values.forEach((value) => {
+        if (type !== 'histogram') {
+          lines.push(`${name}${formatLabels(value.labels)} ${formatValue(value.value)}`);
+          return;
+        }
+
+        value.buckets.forEach(({ le, count }) => {
+          lines.push(`${name}_bucket${formatLabels({ ...value.labels, le: formatValue(le) })} ${count}`);
+        });
+
+        lines.push(`${name}_sum${formatLabels(value.labels)} ${formatValue(value.sum)}`);
+        lines.push(`${name}_count${formatLabels(value.labels)} ${value.count}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+};
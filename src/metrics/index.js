@@ -0,0 +1,7 @@
+const MetricsCollector = require('./MetricsCollector');
+const MetricsRegistry = require('./MetricsRegistry');
+
+module.exports = {
+  MetricsCollector,
+  MetricsRegistry,
+};
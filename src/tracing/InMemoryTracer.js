@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { SpanKind, SpanStatusCode } = require('./constants');
+
+const generateId = bytes => crypto.randomBytes(bytes).toString('hex');
+
+class InMemorySpan {
+  constructor(tracer, name, { kind = SpanKind.INTERNAL, attributes = {}, parent } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.traceId = parent ? parent.traceId : generateId(16);
+    this.spanId = generateId(8);
+    this.parentSpanId = parent ? parent.spanId : undefined;
+    this.traceFlags = parent ? parent.traceFlags : 1; // sampled
+    this.traceState = parent ? parent.traceState : undefined;
+    this.status = { code: SpanStatusCode.UNSET };
+    this.events = [];
+    this.startTime = Date.now();
+    this.endTime = undefined;
+  }
+
+  spanContext() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      traceFlags: this.traceFlags,
+      traceState: this.traceState,
+    };
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, time: Date.now() });
+    return this;
+  }
+
+  recordException(error) {
+    return this.addEvent('exception', {
+      'exception.type': error.name,
+      'exception.message': error.message,
+      'exception.stacktrace': error.stack,
+    });
+  }
+
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+
+  isRecording() {
+    return this.endTime === undefined;
+  }
+
+  end() {
+    if (!this.isRecording()) {
+      return;
+    }
+
+    this.endTime = Date.now();
+    this.tracer.spans.push(this);
+  }
+}
+
+/*
+ * Tracer keeping finished spans in memory,
+ * implements the part of OpenTelemetry tracer interface used by the library
+ * (see "tracer" option of Service, Communicator and CommunicationsManager)
+ *
+ * Usage:
+ * const tracer = new InMemoryTracer();
+ *
+ * const span = tracer.startSpan('name', { kind: SpanKind.CLIENT, attributes: {}, parent });
+ * span.end();
+ *
+ * tracer.getFinishedSpans(); // [span]
+ */
+
+module.exports = class InMemoryTracer {
+  constructor() {
+    this.spans = []; // finished spans in order of their end
+  }
+
+  startSpan(name, options) {
+    return new InMemorySpan(this, name, options);
+  }
+
+  getFinishedSpans() {
+    return [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+};
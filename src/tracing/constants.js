@@ -0,0 +1,20 @@
+// values of OpenTelemetry SpanKind and SpanStatusCode enums
+
+const SpanKind = {
+  INTERNAL: 0,
+  SERVER: 1,
+  CLIENT: 2,
+  PRODUCER: 3,
+  CONSUMER: 4,
+};
+
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+module.exports = {
+  SpanKind,
+  SpanStatusCode,
+};
@@ -0,0 +1,34 @@
+/*
+ * Span attributes of the message, following OpenTelemetry messaging semantic conventions,
+ * undefined values are omitted
+ *
+ * Usage:
+ * getMessagingAttributes({ operation: 'publish', destination: 'ns:service:input', messageId });
+ */
+
+module.exports = ({
+  operation,
+  destination,
+  routingKey,
+  messageId,
+  subject,
+  type,
+}) => {
+  const attributes = {
+    'messaging.system': 'rabbitmq',
+    'messaging.operation': operation,
+    'messaging.destination.name': destination,
+    'messaging.rabbitmq.destination.routing_key': routingKey,
+    'messaging.message.id': messageId,
+    'rabbit_communications.subject': subject,
+    'rabbit_communications.type': type,
+  };
+
+  Object.keys(attributes).forEach((key) => {
+    if (attributes[key] === undefined) {
+      delete attributes[key];
+    }
+  });
+
+  return attributes;
+};
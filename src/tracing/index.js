@@ -0,0 +1,17 @@
+const InMemoryTracer = require('./InMemoryTracer');
+const { SpanKind, SpanStatusCode } = require('./constants');
+const { parseTraceparent, formatTraceparent } = require('./traceparent');
+const { startSpan, extractTraceContext, getTraceMetadata } = require('./traceContext');
+const getMessagingAttributes = require('./getMessagingAttributes');
+
+module.exports = {
+  InMemoryTracer,
+  SpanKind,
+  SpanStatusCode,
+  parseTraceparent,
+  formatTraceparent,
+  startSpan,
+  extractTraceContext,
+  getTraceMetadata,
+  getMessagingAttributes,
+};
@@ -0,0 +1,96 @@
+const { parseTraceparent, formatTraceparent } = require('./traceparent');
+const { SpanStatusCode } = require('./constants');
+
+// trace context of the message, see ctx.trace
+const createTraceContext = ({
+  traceId,
+  spanId,
+  traceFlags,
+  traceState,
+}) => {
+  // OpenTelemetry's trace state is an object
+  const tracestate = traceState && typeof traceState.serialize === 'function'
+    ? traceState.serialize()
+    : traceState;
+
+  return {
+    traceId,
+    spanId,
+    traceFlags,
+    traceparent: formatTraceparent({ traceId, spanId, traceFlags }),
+    tracestate: tracestate || undefined,
+  };
+};
+
+// trace context passed in "traceparent" and "tracestate" metadata fields, if any
+const extractTraceContext = (metadata = {}) => {
+  const parent = parseTraceparent(metadata.traceparent);
+
+  return parent && createTraceContext({ ...parent, traceState: metadata.tracestate });
+};
+
+// metadata fields propagating the trace context to the receiving side
+const getTraceMetadata = trace => (trace
+  ? { traceparent: trace.traceparent, tracestate: trace.tracestate }
+  : {});
+
+/*
+ * Starts the span with the parent passed in metadata ("traceparent" and "tracestate" fields),
+ * returns its trace context (see ctx.trace), metadata propagating it and end(error) function
+ *
+ * Without tracer nothing is started, parent's trace context is returned as is
+ *
+ * Usage:
+ * const span = startSpan(tracer, 'publish queue', {
+ *   kind: SpanKind.PRODUCER,
+ *   attributes: { 'messaging.system': 'rabbitmq' },
+ *   metadata: incomingMetadata,
+ * });
+ *
+ * await publish({ ...outgoingMetadata, ...span.metadata });
+ *
+ * span.end(error); // error is optional
+ */
+
+const startSpan = (tracer, name, { kind, attributes, metadata }) => {
+  const parentTrace = extractTraceContext(metadata);
+
+  if (!tracer) {
+    return {
+      trace: parentTrace,
+      metadata: {},
+      end: () => {},
+    };
+  }
+
+  // OpenTelemetry's SpanContext of the remote parent
+  const parent = parentTrace && {
+    traceId: parentTrace.traceId,
+    spanId: parentTrace.spanId,
+    traceFlags: parentTrace.traceFlags,
+    traceState: parentTrace.tracestate,
+    isRemote: true,
+  };
+
+  const span = tracer.startSpan(name, { kind, attributes, parent });
+  const trace = createTraceContext(span.spanContext());
+
+  return {
+    trace,
+    metadata: getTraceMetadata(trace),
+    end: (error) => {
+      if (error !== undefined) {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      }
+
+      span.end();
+    },
+  };
+};
+
+module.exports = {
+  startSpan,
+  extractTraceContext,
+  getTraceMetadata,
+};
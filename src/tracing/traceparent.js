@@ -0,0 +1,50 @@
+/*
+ * W3C Trace Context "traceparent" header
+ * (https://www.w3.org/TR/trace-context/#traceparent-header)
+ *
+ * Usage:
+ * parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+ *
+ * output -> {
+ *   traceId: '0af7651916cd43dd8448eb211c80319c',
+ *   spanId: 'b7ad6b7169203331',
+ *   traceFlags: 1,
+ * }
+ */
+
+const TRACEPARENT_REGEXP = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// returns undefined if traceparent is missing or invalid
+const parseTraceparent = (traceparent) => {
+  const match = TRACEPARENT_REGEXP.exec(typeof traceparent === 'string' ? traceparent.trim() : '');
+
+  if (match === null) {
+    return undefined;
+  }
+
+  const [, version, traceId, spanId, traceFlags] = match;
+
+  if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+    return undefined;
+  }
+
+  return {
+    traceId,
+    spanId,
+    traceFlags: parseInt(traceFlags, 16),
+  };
+};
+
+const formatTraceparent = ({ traceId, spanId, traceFlags = 0 }) => {
+  const flags = traceFlags.toString(16).padStart(2, '0');
+
+  return `00-${traceId}-${spanId}-${flags}`;
+};
+
+module.exports = {
+  parseTraceparent,
+  formatTraceparent,
+};
@@ -0,0 +1,256 @@
+const ControllablePromise = require('./ControllablePromise');
+const ReplyStream = require('./ReplyStream');
+const deserializeError = require('./deserializeError');
+
+const createAbortError = () => {
+  const error = new Error('Ask was aborted');
+
+  error.name = 'AbortError';
+
+  return error;
+};
+
+const createTimeoutError = (message) => {
+  const error = new Error(message);
+
+  error.name = 'TimeoutError';
+
+  return error;
+};
+
+/*
+ * Keeps promises (or reply streams, see ReplyStream) of pending "ask" requests
+ * until they are replied, timed out or rejected
+ *
+ * Timeout of the stream is restarted by every chunk pushed to it,
+ * timeout of any ask is restarted by every progress message
+ *
+ * Ids of timed out (and aborted) asks are remembered for a while (limited number of them),
+ * so replies arriving after the timeout can be told apart
+ * from replies to asks this instance has never made (e.g. before restart)
+ *
+ * Usage:
+ * const registry = new AskRegistry({
+ *   onTimeout: ({ messageId, subject, timeout }) => console.log(subject), // optional
+ * });
+ *
+ * const promise = registry.register('message-id', {
+ *   subject: 'ping', // optional, passed to onTimeout
+ *   timeout: 5e3,
+ *   timeoutMessage: 'Timeout message',
+ *   signal: abortController.signal, // optional
+ *   onProgress: progress => console.log(progress), // optional
+ *   onSettle: error => console.log(error), // optional, called when ask is settled in any way
+ * });
+ *
+ * registry.resolve('message-id', reply); // true, ask was pending
+ * registry.resolve('message-id', reply); // false, ask is already settled
+ *
+ * const stream = registry.registerStream('other-message-id', { timeout: 5e3 });
+ *
+ * registry.push('other-message-id', chunk);
+ * registry.resolve('other-message-id'); // stream is ended
+ *
+ * // decoded reply message (error, chunk, progress or final reply),
+ * // resolves with the pending ask ({ subject, createdAt, ... }) or undefined
+ * await registry.handleReply({ data, metadata: { isReplyTo: 'message-id' } });
+ */
+
+module.exports = class AskRegistry {
+  constructor({ expiredIdsLimit = 1e3, onTimeout = () => {} } = {}) {
+    this.pendingAsks = new Map(); // messageId -> { target, subject, timeout, timeoutId, ... }
+    this.expiredIds = new Set();
+    this.expiredIdsLimit = expiredIdsLimit;
+    this.onTimeout = onTimeout;
+  }
+
+  get size() {
+    return this.pendingAsks.size;
+  }
+
+  has(messageId) {
+    return this.pendingAsks.has(messageId);
+  }
+
+  isExpired(messageId) {
+    return this.expiredIds.has(messageId);
+  }
+
+  register(messageId, options) {
+    return this.add(messageId, new ControllablePromise(), options);
+  }
+
+  registerStream(messageId, options) {
+    const stream = new ReplyStream({
+      // consumer is not interested in the rest of the chunks
+      onReturn: () => {
+        this.settle(messageId);
+        this.rememberExpired(messageId);
+      },
+    });
+
+    return this.add(messageId, stream, options);
+  }
+
+  add(messageId, target, {
+    subject,
+    timeout,
+    timeoutMessage,
+    signal,
+    onProgress = () => {},
+    onSettle = () => {},
+  }) {
+    if (signal !== undefined && signal.aborted) {
+      const error = createAbortError();
+
+      target.reject(error);
+      onSettle(error);
+
+      return target;
+    }
+
+    const ask = {
+      target,
+      subject,
+      createdAt: Date.now(),
+      timeout,
+      timeoutMessage: timeoutMessage || `Ask was not replied within the allowed ${timeout} milliseconds`,
+      signal,
+      onProgress,
+      onSettle,
+      onAbort: () => this.expire(messageId, createAbortError()),
+    };
+
+    if (signal !== undefined) {
+      signal.addEventListener('abort', ask.onAbort);
+    }
+
+    this.pendingAsks.set(messageId, ask);
+    this.startTimeout(messageId, ask);
+
+    return target;
+  }
+
+  startTimeout(messageId, ask) {
+    clearTimeout(ask.timeoutId);
+
+    // eslint-disable-next-line no-param-reassign
+    ask.timeoutId = setTimeout(() => {
+      this.expire(messageId, createTimeoutError(ask.timeoutMessage));
+      this.onTimeout({ messageId, subject: ask.subject, timeout: ask.timeout });
+    }, ask.timeout);
+  }
+
+  // adds chunk to the reply stream, returns false if there is no such stream
+  push(messageId, chunk) {
+    const ask = this.pendingAsks.get(messageId);
+
+    if (ask === undefined || !(ask.target instanceof ReplyStream)) {
+      return false;
+    }
+
+    this.startTimeout(messageId, ask);
+    ask.target.push(chunk);
+
+    return true;
+  }
+
+  // heartbeat of the long-running ask, resolves with the result of onProgress callback
+  async progress(messageId, progress) {
+    const ask = this.pendingAsks.get(messageId);
+
+    if (ask === undefined) {
+      return undefined;
+    }
+
+    this.startTimeout(messageId, ask);
+
+    return ask.onProgress(progress);
+  }
+
+  resolve(messageId, value) {
+    const ask = this.settle(messageId);
+
+    if (ask === undefined) {
+      return false;
+    }
+
+    ask.target.resolve(value);
+
+    return true;
+  }
+
+  reject(messageId, error) {
+    const ask = this.settle(messageId, error);
+
+    if (ask === undefined) {
+      return false;
+    }
+
+    ask.target.reject(error);
+
+    return true;
+  }
+
+  /*
+   * Settles (or moves forward) pending ask with the decoded reply message,
+   * resolves with the ask or with undefined if there is no such ask
+   */
+  async handleReply(reply) {
+    const { data, metadata } = reply;
+    const messageId = metadata.isReplyTo;
+    const ask = this.pendingAsks.get(messageId);
+
+    if (ask === undefined) {
+      return undefined;
+    }
+
+    if (metadata.isError) {
+      this.reject(messageId, deserializeError(data));
+    } else if (metadata.isChunk) {
+      this.push(messageId, reply);
+    } else if (metadata.isProgress) {
+      await this.progress(messageId, reply);
+    } else {
+      this.resolve(messageId, reply);
+    }
+
+    return ask;
+  }
+
+  rejectAll(error) {
+    Array.from(this.pendingAsks.keys()).forEach(messageId => this.reject(messageId, error));
+  }
+
+  expire(messageId, error) {
+    this.reject(messageId, error);
+    this.rememberExpired(messageId);
+  }
+
+  // removes pending ask, error is passed to its onSettle callback
+  settle(messageId, error) {
+    const ask = this.pendingAsks.get(messageId);
+
+    if (ask !== undefined) {
+      clearTimeout(ask.timeoutId);
+      this.pendingAsks.delete(messageId);
+
+      if (ask.signal !== undefined) {
+        ask.signal.removeEventListener('abort', ask.onAbort);
+      }
+
+      ask.onSettle(error);
+    }
+
+    return ask;
+  }
+
+  rememberExpired(messageId) {
+    this.expiredIds.add(messageId);
+
+    // Set keeps insertion order, so the first one is the oldest
+    if (this.expiredIds.size > this.expiredIdsLimit) {
+      this.expiredIds.delete(this.expiredIds.values().next().value);
+    }
+  }
+};
@@ -38,19 +38,27 @@ module.exports = function ControllablePromise() {
    */
 
   let resolveTimeoutId;
+  let isSettled = false;
 
   promise.setResolveTimeout = (ms, message) => {
+    // nothing to wait for
+    if (isSettled) {
+      return;
+    }
+
     resolveTimeoutId = setTimeout(() => reject(new Error(
       message || `ControllablePromise was not resolved within the allowed ${ms} milliseconds`,
     )), ms);
   };
 
   promise.resolve = (value) => {
+    isSettled = true;
     clearTimeout(resolveTimeoutId);
     resolve(value);
   };
 
   promise.reject = (e) => {
+    isSettled = true;
     clearTimeout(resolveTimeoutId);
     reject(e);
   };
@@ -0,0 +1,54 @@
+/*
+ * Keeps track of listener invocations
+ * that are currently in progress
+ *
+ * Used on stop() to give already received
+ * messages a chance to be processed (and acked)
+ * before the channels are closed
+ *
+ * Usage:
+ * const tracker = new ListenerCallsTracker();
+ *
+ * tracker.track(listener(ctx));
+ *
+ * await tracker.drain(5e3); // resolves when all calls are finished or timeout expired
+ */
+
+module.exports = class ListenerCallsTracker {
+  constructor() {
+    this.calls = new Set();
+  }
+
+  get size() {
+    return this.calls.size;
+  }
+
+  track(promise) {
+    this.calls.add(promise);
+
+    const untrack = () => this.calls.delete(promise);
+
+    promise.then(untrack, untrack);
+
+    return promise;
+  }
+
+  async drain(timeout) {
+    if (this.calls.size === 0) {
+      return true;
+    }
+
+    let timeoutId;
+
+    const isDrained = await Promise.race([
+      Promise.all(Array.from(this.calls)).then(() => true, () => true),
+      new Promise((resolve) => {
+        timeoutId = setTimeout(() => resolve(false), timeout);
+      }),
+    ]);
+
+    clearTimeout(timeoutId);
+
+    return isDrained;
+  }
+};
@@ -0,0 +1,96 @@
+/*
+ * Async iterator over chunks of the streaming "ask" reply
+ *
+ * Chunks pushed before they are requested are buffered,
+ * iteration finishes when the stream is resolved (ended)
+ * or throws when it is rejected
+ *
+ * Usage:
+ * const stream = new ReplyStream();
+ *
+ * stream.push({ data: 1 });
+ * stream.resolve();
+ *
+ * for await (const chunk of stream) {
+ *   console.log(chunk); // { data: 1 }
+ * }
+ */
+
+module.exports = class ReplyStream {
+  constructor({ onReturn = () => {} } = {}) {
+    this.onReturn = onReturn; // called if consumer stops iteration before the stream is ended
+    this.chunks = [];
+    this.pendingReads = []; // { resolve, reject } of next() calls waiting for chunks
+    this.isEnded = false;
+    this.error = undefined;
+  }
+
+  push(chunk) {
+    if (this.isEnded) {
+      return;
+    }
+
+    if (this.pendingReads.length > 0) {
+      this.pendingReads.shift().resolve({ value: chunk, done: false });
+    } else {
+      this.chunks.push(chunk);
+    }
+  }
+
+  resolve() {
+    if (this.isEnded) {
+      return;
+    }
+
+    this.isEnded = true;
+
+    this.pendingReads.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+  }
+
+  reject(error) {
+    if (this.isEnded) {
+      return;
+    }
+
+    this.isEnded = true;
+    this.error = error;
+
+    this.pendingReads.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  next() {
+    if (this.chunks.length > 0) {
+      return Promise.resolve({ value: this.chunks.shift(), done: false });
+    }
+
+    if (this.error !== undefined) {
+      const { error } = this;
+
+      // error is thrown once, iteration is finished after it
+      this.error = undefined;
+
+      return Promise.reject(error);
+    }
+
+    if (this.isEnded) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => this.pendingReads.push({ resolve, reject }));
+  }
+
+  return() {
+    if (!this.isEnded) {
+      this.resolve();
+      this.onReturn();
+    }
+
+    this.chunks = [];
+
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+};
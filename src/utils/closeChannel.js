@@ -0,0 +1,19 @@
+/*
+ * rabbit-client reopens the channel when it is closed
+ * (see "onReconnect" option of RabbitClient.getChannel),
+ * so its listeners have to be removed before intentional close
+ */
+
+module.exports = async (channel) => {
+  channel.removeAllListeners('close');
+  channel.removeAllListeners('error');
+
+  // errors of the channel being closed are not interesting anymore
+  channel.on('error', () => {});
+
+  try {
+    await channel.close();
+  } catch (e) {
+    // channel is already closed (ex. connection was lost)
+  }
+};
@@ -0,0 +1,27 @@
+/*
+ * Builds single function out of koa-style middleware list,
+ * each middleware is called with (ctx, next) arguments,
+ * where next() calls the rest of the chain
+ *
+ * Usage:
+ * const handler = composeMiddleware([
+ *   async (ctx, next) => {
+ *     console.time('listener');
+ *     await next();
+ *     console.timeEnd('listener');
+ *   },
+ *   listener,
+ * ]);
+ *
+ * await handler(ctx);
+ */
+
+module.exports = (middlewareList) => {
+  const middlewareChain = middlewareList.map(
+    (m, i) => ctx => m(ctx, () => (
+      middlewareChain[i + 1] === undefined ? Promise.resolve() : middlewareChain[i + 1](ctx)
+    )),
+  );
+
+  return ctx => middlewareChain[0](ctx);
+};
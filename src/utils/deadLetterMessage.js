@@ -0,0 +1,34 @@
+const getMessageAttempt = require('./getMessageAttempt');
+
+/*
+ * Moves the message which can not be processed to the "<queue>:dead" queue
+ * together with the error message and stack
+ * (or discards it, if "shouldDiscardMessages" flag is set) and acks it,
+ * resolves with the outcome: "dead-lettered" or "discarded"
+ */
+
+module.exports = async ({
+  channel,
+  msg,
+  error,
+  queueName,
+  deadQueueName,
+  shouldDiscardMessages,
+}) => {
+  if (!shouldDiscardMessages) {
+    await channel.sendToQueue(deadQueueName, msg.content, {
+      ...msg.properties,
+      headers: {
+        ...(msg.properties.headers || {}),
+        'x-attempt': getMessageAttempt(msg),
+        'x-original-queue': queueName,
+        'x-error-message': error instanceof Error ? error.message : String(error),
+        'x-error-stack': error instanceof Error ? error.stack : undefined,
+      },
+    });
+  }
+
+  await channel.ack(msg);
+
+  return shouldDiscardMessages ? 'discarded' : 'dead-lettered';
+};
@@ -0,0 +1,21 @@
+/*
+ * Reconstructs Error instance from the object
+ * created by serializeError on the replying side
+ */
+
+module.exports = (serializedError = {}) => {
+  const error = new Error(serializedError.message);
+
+  error.name = serializedError.name || 'Error';
+  error.isRemote = true;
+
+  if (serializedError.code !== undefined) {
+    error.code = serializedError.code;
+  }
+
+  if (serializedError.details !== undefined) {
+    error.details = serializedError.details;
+  }
+
+  return error;
+};
@@ -0,0 +1,15 @@
+/*
+ * Emits event of the service, communicator or manager (see their "events" property),
+ * "error" event is emitted only if it is listened, since EventEmitter throws otherwise
+ *
+ * Usage:
+ * emitEvent(service.events, 'ack', { ...service.logFields, messageId });
+ */
+
+module.exports = (events, eventName, payload) => {
+  if (eventName === 'error' && events.listenerCount('error') === 0) {
+    return;
+  }
+
+  events.emit(eventName, payload);
+};
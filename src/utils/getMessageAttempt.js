@@ -0,0 +1,11 @@
+/*
+ * Returns the number of the delivery attempt of the message,
+ * first delivery is attempt number 1
+ * (see rejectMessage, which increments it on retry)
+ */
+
+module.exports = (msg) => {
+  const headers = (msg && msg.properties && msg.properties.headers) || {};
+
+  return headers['x-attempt'] || 1;
+};
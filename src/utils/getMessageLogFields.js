@@ -0,0 +1,16 @@
+const getMessageAttempt = require('./getMessageAttempt');
+
+/*
+ * Structured log fields of the received message,
+ * metadata is missing if the message could not be decoded
+ *
+ * Usage:
+ * logger.error({ ...getMessageLogFields(msg, metadata, queueName), err }, 'Listener failed');
+ */
+
+module.exports = (msg, metadata = {}, queueName) => ({
+  queue: queueName,
+  messageId: metadata.messageId,
+  subject: metadata.subject,
+  attempt: getMessageAttempt(msg),
+});
@@ -0,0 +1,28 @@
+/*
+ * Metadata of the received message carried to every message sent while handling it:
+ * listed keys, trace context (see ctx.trace) and ids of the message chain -
+ * "correlationId" of the first message and "causationId" of the received one
+ *
+ * Usage:
+ * getPropagatedMetadata({ messageId: 'b', correlationId: 'a', tenant: 'x', foo: 1 }, ['tenant']);
+ * // { tenant: 'x', correlationId: 'a', causationId: 'b' }
+ */
+
+module.exports = (metadata, keys = [], traceMetadata = {}) => {
+  const propagatedMetadata = {};
+
+  keys
+    .filter(key => metadata[key] !== undefined)
+    .forEach((key) => {
+      propagatedMetadata[key] = metadata[key];
+    });
+
+  Object.assign(propagatedMetadata, traceMetadata);
+
+  if (metadata.messageId !== undefined) {
+    propagatedMetadata.correlationId = metadata.correlationId || metadata.messageId;
+    propagatedMetadata.causationId = metadata.messageId;
+  }
+
+  return propagatedMetadata;
+};
@@ -0,0 +1,59 @@
+const { decodeMessage } = require('../codecs');
+const getMessageLogFields = require('./getMessageLogFields');
+
+/*
+ * Handles the message received from the reply queue of the service or communicator:
+ * resolves (or rejects, or pushes the chunk to) the pending ask of the registry,
+ * replies with no pending ask are passed to "onLateReply" or "onOrphanReply" hooks
+ */
+
+module.exports = async (instance, msg, ch) => {
+  let parsedMessage;
+
+  try {
+    parsedMessage = decodeMessage(msg, instance.codec);
+    const { metadata } = parsedMessage;
+
+    const ask = await instance.askRegistry.handleReply(parsedMessage);
+
+    if (ask === undefined) {
+      const reply = { ...parsedMessage, message: msg };
+
+      // ask is already timed out or was made by another instance (e.g. before restart),
+      // there is no one waiting for this reply, so it is not requeued
+      if (instance.askRegistry.isExpired(metadata.isReplyTo)) {
+        await instance.onLateReply(reply);
+      } else {
+        await instance.onOrphanReply(reply);
+      }
+    } else if (!metadata.isChunk && !metadata.isProgress) {
+      // final reply (or error, or the end of the stream)
+      instance.emitEvent('ask:reply', {
+        messageId: metadata.isReplyTo,
+        subject: ask.subject,
+        isError: Boolean(metadata.isError),
+        duration: Date.now() - ask.createdAt,
+        metadata,
+        data: parsedMessage.data,
+      });
+    }
+
+    await ch.ack(msg);
+  } catch (e) {
+    const messageFields = getMessageLogFields(
+      msg,
+      parsedMessage && parsedMessage.metadata,
+      instance.replyQueueName,
+    );
+
+    instance.logger.error({ ...instance.logFields, ...messageFields, err: e }, 'Failed to process reply');
+    instance.emitEvent('error', { ...messageFields, error: e });
+
+    // reply queue belongs to this instance only, there is no one to requeue it for
+    try {
+      await ch.nack(msg, false, false);
+    } catch (nackError) {
+      // channel is already closed (ex. connection was lost), unacked reply is gone with it
+    }
+  }
+};
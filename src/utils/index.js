@@ -1,5 +1,55 @@
 const ControllablePromise = require('./ControllablePromise');
+const AskRegistry = require('./AskRegistry');
+const ReplyStream = require('./ReplyStream');
+const ListenerCallsTracker = require('./ListenerCallsTracker');
+const normalizeRetryPolicy = require('./normalizeRetryPolicy');
+const getMessageAttempt = require('./getMessageAttempt');
+const deserializeError = require('./deserializeError');
+const composeMiddleware = require('./composeMiddleware');
+const serializeError = require('./serializeError');
+const registerMiddleware = require('./registerMiddleware');
+const deadLetterMessage = require('./deadLetterMessage');
+const rejectMessage = require('./rejectMessage');
+const closeChannel = require('./closeChannel');
+const matchTopic = require('./matchTopic');
+const resolveLogger = require('./resolveLogger');
+const getMessageLogFields = require('./getMessageLogFields');
+const watchReconnects = require('./watchReconnects');
+const propagationStorage = require('./propagationStorage');
+const getPropagatedMetadata = require('./getPropagatedMetadata');
+const validateAskOptions = require('./validateAskOptions');
+const validateBroadcastOptions = require('./validateBroadcastOptions');
+const sendAsk = require('./sendAsk');
+const handleReplyMessage = require('./handleReplyMessage');
+const publishMessage = require('./publishMessage');
+const replyListenerError = require('./replyListenerError');
+const emitEvent = require('./emitEvent');
 
 module.exports = {
   ControllablePromise,
+  AskRegistry,
+  ReplyStream,
+  ListenerCallsTracker,
+  normalizeRetryPolicy,
+  getMessageAttempt,
+  deserializeError,
+  composeMiddleware,
+  serializeError,
+  registerMiddleware,
+  deadLetterMessage,
+  rejectMessage,
+  closeChannel,
+  matchTopic,
+  resolveLogger,
+  getMessageLogFields,
+  watchReconnects,
+  propagationStorage,
+  getPropagatedMetadata,
+  validateAskOptions,
+  validateBroadcastOptions,
+  sendAsk,
+  handleReplyMessage,
+  publishMessage,
+  replyListenerError,
+  emitEvent,
 };
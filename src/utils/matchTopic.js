@@ -0,0 +1,38 @@
+/*
+ * Checks whether routing key matches RabbitMQ topic pattern
+ *
+ * Words are separated by dots,
+ * "*" substitutes exactly one word,
+ * "#" substitutes zero or more words
+ *
+ * Usage:
+ * matchTopic('orders.*.created', 'orders.eu.created'); // true
+ * matchTopic('orders.#', 'orders'); // true
+ * matchTopic('orders.*', 'orders.eu.created'); // false
+ */
+
+const matchWords = (patternWords, keyWords) => {
+  if (patternWords.length === 0) {
+    return keyWords.length === 0;
+  }
+
+  const [patternWord, ...restPatternWords] = patternWords;
+
+  if (patternWord === '#') {
+    // "#" either matches nothing or swallows one more word
+    return matchWords(restPatternWords, keyWords)
+      || (keyWords.length > 0 && matchWords(patternWords, keyWords.slice(1)));
+  }
+
+  if (keyWords.length === 0) {
+    return false;
+  }
+
+  if (patternWord !== '*' && patternWord !== keyWords[0]) {
+    return false;
+  }
+
+  return matchWords(restPatternWords, keyWords.slice(1));
+};
+
+module.exports = (pattern, routingKey) => matchWords(pattern.split('.'), routingKey.split('.'));
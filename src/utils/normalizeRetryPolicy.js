@@ -0,0 +1,45 @@
+/*
+ * Validates "retry" option of Service and Communicator
+ * and fills it with default values
+ *
+ * Usage:
+ * normalizeRetryPolicy({ attempts: 5, backoff: 'exponential', initialDelay: 500 });
+ *
+ * output -> { attempts: 5, backoff: 'exponential', initialDelay: 500, maxDelay: Infinity }
+ */
+
+module.exports = (retry) => {
+  if (retry === undefined) {
+    return undefined;
+  }
+
+  const {
+    attempts,
+    backoff = 'fixed',
+    initialDelay = 0,
+    maxDelay = Infinity,
+  } = retry;
+
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new Error('"retry.attempts" must be a positive integer');
+  }
+
+  if (!['fixed', 'exponential'].includes(backoff)) {
+    throw new Error(`Unknown "retry.backoff" value "${backoff}", "fixed" and "exponential" are supported`);
+  }
+
+  if (typeof initialDelay !== 'number' || initialDelay < 0) {
+    throw new Error('"retry.initialDelay" must be a non-negative number of milliseconds');
+  }
+
+  if (typeof maxDelay !== 'number' || maxDelay < initialDelay) {
+    throw new Error('"retry.maxDelay" must be a number of milliseconds not less than "retry.initialDelay"');
+  }
+
+  return {
+    attempts,
+    backoff,
+    initialDelay,
+    maxDelay,
+  };
+};
@@ -0,0 +1,14 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/*
+ * Metadata of the message being handled, shared by all instances of the process
+ * (see "propagateMetadata" option), is set only while listener is running
+ *
+ * Usage:
+ * await propagationStorage.run(ctx.propagatedMetadata, () => listener(ctx));
+ *
+ * // anywhere inside the listener, including nested async calls
+ * const metadata = { ...propagationStorage.getStore(), ...additionalMetadata };
+ */
+
+module.exports = new AsyncLocalStorage();
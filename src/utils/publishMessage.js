@@ -0,0 +1,102 @@
+const { SpanKind, startSpan, getMessagingAttributes } = require('../tracing');
+const composeMiddleware = require('./composeMiddleware');
+const propagationStorage = require('./propagationStorage');
+
+/*
+ * Passes outgoing context of the service or communicator through the outgoing middleware
+ * and publishes it, resolves with message id or with undefined, if middleware did not call next()
+ *
+ * Channel is taken by "getChannel" right before publishing,
+ * since it is replaced on reconnect while middleware is running
+ */
+
+module.exports = async ({
+  instance,
+  getChannel,
+  middlewareList,
+  contextFields, // instance specific fields of the outgoing context
+  type,
+  messageId,
+  exchangeName,
+  routingKey,
+  data,
+  additionalMetadata,
+}) => {
+  const ctx = {
+    type,
+    ...contextFields,
+    messageId,
+    metadata: {
+      ...instance.metadata,
+      // metadata of the message being handled, see ctx.propagatedMetadata
+      ...propagationStorage.getStore(),
+      ...additionalMetadata,
+      messageId,
+    },
+    headers: {},
+    data,
+    isPublished: false,
+  };
+
+  const destination = exchangeName === instance.namespace ? routingKey : exchangeName;
+
+  // child of the trace context passed in metadata (see ctx.trace), which is replaced by its own
+  const span = startSpan(instance.tracer, `publish ${type === 'reply' ? '(temporary)' : destination}`, {
+    kind: SpanKind.PRODUCER,
+    attributes: getMessagingAttributes({
+      operation: 'publish',
+      destination,
+      routingKey,
+      messageId,
+      subject: ctx.metadata.subject || ctx.metadata.eventName,
+      type,
+    }),
+    metadata: ctx.metadata,
+  });
+
+  Object.assign(ctx.metadata, span.metadata);
+
+  const publish = async (outgoingCtx) => {
+    const payload = {
+      metadata: outgoingCtx.metadata,
+      data: outgoingCtx.data,
+    };
+
+    await getChannel().publish(
+      exchangeName,
+      routingKey,
+      instance.codec.encode(payload),
+      {
+        contentType: instance.codec.contentType,
+        headers: outgoingCtx.headers,
+      },
+    );
+
+    // eslint-disable-next-line no-param-reassign
+    outgoingCtx.isPublished = true;
+  };
+
+  try {
+    await composeMiddleware([...middlewareList, publish])(ctx);
+  } catch (e) {
+    span.end(e);
+    throw e;
+  }
+
+  span.end();
+
+  if (!ctx.isPublished) {
+    return undefined;
+  }
+
+  instance.emitEvent('published', {
+    type,
+    messageId,
+    subject: ctx.metadata.subject,
+    eventName: ctx.metadata.eventName, // see service.publish()
+    exchange: exchangeName,
+    routingKey,
+  });
+
+  return messageId;
+};
@@ -0,0 +1,30 @@
+/*
+ * Parses arguments of middleware registration methods
+ * (manager.applyMiddleware, service.use, etc.) and adds
+ * middleware functions to the root list or to the specific map
+ *
+ * Supported arguments:
+ * (func), ([func1, func2]) - root middleware
+ * (key, func), (key, [func1, func2]),
+ * ([key1, key2], func), ([key1, key2], [func1, func2]) - specific middleware
+ */
+
+module.exports = (args, rootMiddlewareList, specificMiddlewareMap) => {
+  if (args[1] !== undefined) {
+    const specificMiddlewareList = Array.isArray(args[1]) ? args[1] : [args[1]];
+    const keyList = Array.isArray(args[0]) ? args[0] : [args[0]];
+
+    keyList.forEach((key) => {
+      if (specificMiddlewareMap[key] === undefined) {
+        // eslint-disable-next-line no-param-reassign
+        specificMiddlewareMap[key] = [];
+      }
+
+      specificMiddlewareMap[key].push(...specificMiddlewareList);
+    });
+  } else {
+    const newRootMiddlewareList = Array.isArray(args[0]) ? args[0] : [args[0]];
+
+    rootMiddlewareList.push(...newRootMiddlewareList);
+  }
+};
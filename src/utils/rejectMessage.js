@@ -0,0 +1,91 @@
+const getMessageAttempt = require('./getMessageAttempt');
+const deadLetterMessage = require('./deadLetterMessage');
+
+// delay before the next attempt, "attempt" is the number of the failed one
+const getRetryDelay = ({
+  backoff,
+  initialDelay,
+  maxDelay,
+}, attempt) => {
+  if (backoff === 'exponential') {
+    return Math.min(initialDelay * (2 ** (attempt - 1)), maxDelay);
+  }
+
+  return Math.min(initialDelay, maxDelay);
+};
+
+/*
+ * Handles the message which listener has failed to process
+ *
+ * Without retry policy the message is returned to the queue
+ * (or discarded, if "shouldDiscardMessages" flag is set)
+ *
+ * With retry policy the message is published back to the same queue
+ * with incremented "x-attempt" header, until the allowed number of attempts is exhausted,
+ * after that it is moved to the "<queue>:dead" queue together with the error message and stack
+ * (or discarded, if "shouldDiscardMessages" flag is set)
+ *
+ * If retry policy has a delay, the message waits in the "<queue>:retry:<delay>" queue
+ * until its TTL expires and RabbitMQ dead-letters it back to the original queue
+ *
+ * Resolves with the outcome: "requeued", "retried", "dead-lettered" or "discarded"
+ */
+
+module.exports = async ({
+  channel,
+  msg,
+  error,
+  retry,
+  queueName,
+  deadQueueName,
+  shouldDiscardMessages,
+}) => {
+  if (!retry) {
+    await channel.nack(msg, false, !shouldDiscardMessages);
+    return shouldDiscardMessages ? 'discarded' : 'requeued';
+  }
+
+  const attempt = getMessageAttempt(msg);
+  const headers = msg.properties.headers || {};
+
+  if (attempt < retry.attempts) {
+    const delay = getRetryDelay(retry, attempt);
+
+    const retryOptions = {
+      ...msg.properties,
+      headers: {
+        ...headers,
+        'x-attempt': attempt + 1,
+      },
+    };
+
+    if (delay > 0) {
+      const waitQueueName = `${queueName}:retry:${delay}`;
+
+      // one wait queue per delay value, since TTL is set per queue
+      await channel.assertQueue(waitQueueName, {
+        messageTtl: delay,
+        deadLetterExchange: '', // default exchange routes message directly to the original queue
+        deadLetterRoutingKey: queueName,
+      });
+
+      await channel.sendToQueue(waitQueueName, msg.content, retryOptions);
+    } else {
+      // published directly to the queue, so copies are not routed to other queues
+      await channel.sendToQueue(queueName, msg.content, retryOptions);
+    }
+  } else {
+    return deadLetterMessage({
+      channel,
+      msg,
+      error,
+      queueName,
+      deadQueueName,
+      shouldDiscardMessages,
+    });
+  }
+
+  await channel.ack(msg);
+
+  return 'retried';
+};
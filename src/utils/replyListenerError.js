@@ -0,0 +1,47 @@
+const deadLetterMessage = require('./deadLetterMessage');
+
+/*
+ * Replies the error of the ask listener of the service or communicator to the asking side,
+ * if the reply fails, the ask is moved to the dead queue (or discarded), since redelivered
+ * message would fail the same way. Resolves with true if the error was replied
+ * (the ask is acked by the caller as usual), false if the ask is already dead-lettered
+ */
+
+module.exports = async ({
+  instance,
+  ctx,
+  error,
+  queueName,
+  deadQueueName,
+  messageFields,
+  receivedAt,
+}) => {
+  try {
+    await ctx.replyError(error);
+
+    return true;
+  } catch (replyError) {
+    instance.logger.error(
+      { ...instance.logFields, ...messageFields, err: replyError },
+      'Error reply failed, message is moved to the dead queue',
+    );
+
+    const outcome = await deadLetterMessage({
+      channel: ctx.channel,
+      msg: ctx.message,
+      error,
+      queueName,
+      deadQueueName,
+      shouldDiscardMessages: instance.shouldDiscardMessages,
+    });
+
+    instance.emitEvent('nack', {
+      ...messageFields,
+      error,
+      outcome,
+      duration: Date.now() - receivedAt,
+    });
+
+    return false;
+  }
+};
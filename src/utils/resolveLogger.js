@@ -0,0 +1,43 @@
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+const silentLogger = LEVELS.reduce((logger, level) => ({ ...logger, [level]: noop }), {});
+
+// prints messages of the given level and above, fields are printed after the message
+const createConsoleLogger = (minLevel) => {
+  const minLevelIndex = LEVELS.indexOf(minLevel);
+
+  return LEVELS.reduce((logger, level, i) => ({
+    ...logger,
+    [level]: i < minLevelIndex ? noop : (fields, message) => console[level](message, fields),
+  }), {});
+};
+
+/*
+ * Turns "logger" option into the logger object with "debug", "info", "warn" and "error" methods,
+ * which are called pino-style: logger.error({ service, messageId, err }, 'Message')
+ *
+ * - undefined - console logger ("info" level, "warn" when NODE_ENV is "test")
+ * - false - silent logger
+ * - object with all four methods (pino logger, for example) - used as is
+ *
+ * Usage:
+ * resolveLogger(pino()).info({ service: 'auth' }, 'Service started');
+ */
+
+module.exports = (logger) => {
+  if (logger === undefined) {
+    return createConsoleLogger(process.env.NODE_ENV === 'test' ? 'warn' : 'info');
+  }
+
+  if (logger === false) {
+    return silentLogger;
+  }
+
+  if (!logger || LEVELS.some(level => typeof logger[level] !== 'function')) {
+    throw new Error(`Logger must have ${LEVELS.map(level => `"${level}"`).join(', ')} methods`);
+  }
+
+  return logger;
+};
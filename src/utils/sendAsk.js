@@ -0,0 +1,107 @@
+const nanoid = require('nanoid');
+const { SpanKind, startSpan, getMessagingAttributes } = require('../tracing');
+const propagationStorage = require('./propagationStorage');
+const validateAskOptions = require('./validateAskOptions');
+
+/*
+ * Registers ask of the service or communicator in its registry,
+ * publishes it in the background and returns reply promise (or reply stream)
+ *
+ * Ask is registered before publishing, because the reply may arrive before publish resolves,
+ * see handleReplyMessage() for how it is resolved
+ *
+ * Usage:
+ * const reply = sendAsk({
+ *   instance: communicator,
+ *   subject: 'ping',
+ *   data,
+ *   options: { timeout: 1e3 },
+ *   destination: communicator.inputQueueName, // for tracing
+ *   peerName: 'service', // for timeout messages
+ *   publish: ({ messageId, additionalMetadata }) => communicator.publishInput({ ... }),
+ * });
+ */
+
+module.exports = ({
+  instance,
+  subject,
+  data,
+  options,
+  isStream = false,
+  destination,
+  peerName,
+  publish,
+}) => {
+  validateAskOptions(options);
+
+  const {
+    timeout = instance.askTimeout,
+    signal,
+    onProgress,
+    metadata: additionalMetadata = {},
+  } = options;
+
+  const messageId = nanoid(10);
+
+  // peer skips requests which are not replied until this moment (see metadata below)
+  const deadline = Date.now() + timeout;
+
+  // round-trip span, parent of the publish span (see publishMessage)
+  const span = startSpan(instance.tracer, `ask ${subject}`, {
+    kind: SpanKind.CLIENT,
+    attributes: getMessagingAttributes({
+      destination,
+      messageId,
+      subject,
+      type: 'ask',
+    }),
+    metadata: { ...propagationStorage.getStore(), ...additionalMetadata },
+  });
+
+  const registryOptions = {
+    subject,
+    timeout,
+    timeoutMessage: isStream
+      ? `The ${peerName} did not send the next reply chunk within the allowed ${timeout} milliseconds`
+      : `The ${peerName} did not respond within the allowed ${timeout} milliseconds`,
+    signal,
+    onProgress,
+    onSettle: error => span.end(error),
+  };
+
+  const reply = isStream
+    ? instance.askRegistry.registerStream(messageId, registryOptions)
+    : instance.askRegistry.register(messageId, registryOptions);
+
+  // signal is already aborted, ask is rejected without publishing
+  if (!instance.askRegistry.has(messageId)) {
+    return reply;
+  }
+
+  publish({
+    messageId,
+    data,
+    additionalMetadata: {
+      ...additionalMetadata,
+      ...span.metadata,
+      ask: true,
+      subject,
+      replyTo: instance.replyQueueName,
+      deadline,
+      // every reply chunk or progress message moves the deadline
+      // (see ctx.replyChunk and ctx.progress)
+      timeout,
+    },
+  }).then(
+    (publishedMessageId) => {
+      if (publishedMessageId === undefined) {
+        instance.askRegistry.reject(messageId, new Error(
+          `Ask request for subject "${subject}" was not published by outgoing middleware`,
+        ));
+      }
+    },
+    e => instance.askRegistry.reject(messageId, e),
+  );
+
+  return reply;
+};
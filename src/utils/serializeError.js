@@ -0,0 +1,32 @@
+/*
+ * Converts Error instance to the plain object,
+ * so it can be sent as a message payload
+ * (see ListenerContext.replyError)
+ *
+ * Only "name", "message", "code" and "details" properties
+ * are transferred, stack trace stays on the replying side
+ */
+
+module.exports = (error) => {
+  if (!(error instanceof Error)) {
+    return {
+      name: 'Error',
+      message: String(error),
+    };
+  }
+
+  const serializedError = {
+    name: error.name,
+    message: error.message,
+  };
+
+  if (error.code !== undefined) {
+    serializedError.code = error.code;
+  }
+
+  if (error.details !== undefined) {
+    serializedError.details = error.details;
+  }
+
+  return serializedError;
+};
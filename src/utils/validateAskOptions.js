@@ -0,0 +1,19 @@
+const ASK_OPTION_NAMES = ['timeout', 'signal', 'onProgress', 'metadata'];
+
+/*
+ * Validates options of ask() and askStream() methods,
+ * the third argument used to be metadata, so its keys are rejected
+ * instead of being silently ignored
+ *
+ * Usage:
+ * validateAskOptions({ timeout: 1e3, metadata: { userId } }); // ok
+ * validateAskOptions({ userId }); // throws
+ */
+
+module.exports = (options) => {
+  const unknownOptionNames = Object.keys(options).filter(key => !ASK_OPTION_NAMES.includes(key));
+
+  if (unknownOptionNames.length > 0) {
+    throw new Error(`Unknown ask options: ${unknownOptionNames.join(', ')}. Supported options are ${ASK_OPTION_NAMES.join(', ')}, metadata is passed as { metadata: { ... } }`);
+  }
+};
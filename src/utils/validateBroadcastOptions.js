@@ -0,0 +1,21 @@
+const BROADCAST_OPTION_NAMES = ['to', 'exclude', 'metadata'];
+
+/*
+ * Validates options of manager's broadcast() method,
+ * the second argument used to be metadata, so its keys are rejected
+ * instead of being silently ignored
+ *
+ * Usage:
+ * validateBroadcastOptions({ exclude: ['billing'], metadata: { tenantId } }); // ok
+ * validateBroadcastOptions({ tenantId }); // throws
+ */
+
+module.exports = (options) => {
+  const unknownOptionNames = Object.keys(options).filter(
+    key => !BROADCAST_OPTION_NAMES.includes(key),
+  );
+
+  if (unknownOptionNames.length > 0) {
+    throw new Error(`Unknown broadcast options: ${unknownOptionNames.join(', ')}. Supported options are ${BROADCAST_OPTION_NAMES.join(', ')}, metadata is passed as { metadata: { ... } }`);
+  }
+};
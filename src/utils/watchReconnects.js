@@ -0,0 +1,26 @@
+/*
+ * Wraps "onReconnect" callback of RabbitClient.getChannel,
+ * which is called both when the channel is opened for the first time
+ * and when it is reopened, so "onReconnected" is called for the latter case only
+ *
+ * Usage:
+ * rabbitClient.getChannel({
+ *   onReconnect: watchReconnects(async (channel) => {
+ *     await channel.assertQueue('queue');
+ *   }, () => console.log('Channel is reopened')),
+ * });
+ */
+
+module.exports = (onReconnect, onReconnected) => {
+  let isOpened = false;
+
+  return async (channel) => {
+    await onReconnect(channel);
+
+    if (isOpened) {
+      onReconnected();
+    }
+
+    isOpened = true;
+  };
+};
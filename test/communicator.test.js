@@ -1,16 +1,29 @@
 const { expect } = require('chai');
-const { Service, Communicator, RabbitClient } = require('../src');
+const {
+  Service, Communicator,
+  RabbitClient,
+  MemoryClient,
+} = require('../src');
 
 const { RABBIT_URL } = process.env;
 
+// ctx.signal is not available without global AbortController (Node.js < 15)
+const itWithAbortController = typeof AbortController === 'function' ? it : it.skip;
+
 describe('Communicator (connects to specific Service for two-way communication)', () => {
   const NAMESPACE = 'namespace-2';
 
-  const rabbitClient = new RabbitClient(RABBIT_URL, {
-    disableLogging: true,
-    appName: NAMESPACE,
-    json: true,
-  });
+  // without RabbitMQ url suite runs on top of in-memory transport
+  const rabbitClient = RABBIT_URL
+    ? new RabbitClient(RABBIT_URL, {
+      disableLogging: true,
+      appName: NAMESPACE,
+      json: true,
+    })
+    : new MemoryClient({
+      appName: NAMESPACE,
+      json: true,
+    });
 
   const createdQueues = [];
 
@@ -466,6 +479,60 @@ describe('Communicator (connects to specific Service for two-way communication)'
     ).every(Boolean);
 
     expect(areAllResponsesReceived).to.be.equal(true);
+
+    // metadata is passed as "metadata" option, other keys are not silently dropped
+    const optionsError = await communicator.ask(askSubject, {}, { userId: 1 }).catch(e => e);
+
+    expect(optionsError.message).to.include('Unknown ask options: userId');
+    expect(communicator.pendingAsksCount).to.be.equal(0);
+
+    const response = await communicator.ask(askSubject, {}, { metadata: { userId: 1 } });
+
+    expect(response.data).to.be.eql({});
+  });
+
+  it('delivers "ask" replies to the communicator instance that asked', async () => {
+    const serviceName = 'service-13';
+    const askSubject = 'whoami';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicators = new Array(3).fill(null).map(() => new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      rabbitClient,
+    }));
+
+    service.addAskListener(askSubject, async (ctx) => {
+      await ctx.reply(ctx.data);
+    });
+
+    await service.start();
+    await Promise.all(communicators.map(communicator => communicator.start()));
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const responses = await Promise.all(
+      new Array(30).fill(null).map(async (item, i) => {
+        const index = i % communicators.length;
+        const response = await communicators[index].ask(askSubject, { index });
+
+        return { index, response };
+      }),
+    );
+
+    const areAllResponsesReceivedByAsker = responses.every(
+      ({ index, response }) => response.data.index === index,
+    );
+
+    expect(areAllResponsesReceivedByAsker).to.be.equal(true);
   });
 
   it('waits for communicator to start before sending messages', async () => {
@@ -524,4 +591,990 @@ describe('Communicator (connects to specific Service for two-way communication)'
     expect(isMessageReceived).to.be.equal(true);
     expect(sendTimestamp).to.be.greaterThan(startTimestamp);
   });
+
+  it('rejects pending "ask" requests on stop', async () => {
+    const serviceName = 'service-14';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      askTimeout: 10e3,
+      rabbitClient,
+    });
+
+    service.addAskListener('never', () => {
+      // never replies
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const askPromise = communicator.ask('never', { foo: 'bar' });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await communicator.stop();
+
+    let askError;
+
+    try {
+      await askPromise;
+    } catch (e) {
+      askError = e;
+    }
+
+    expect(askError).to.be.an('error');
+    expect(askError.message).to.include('stopped');
+    expect(communicator.pendingAsksCount).to.be.equal(0);
+
+    await service.stop();
+  });
+
+  it('rejects messages waiting for the start when it is stopped before being started', async () => {
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: 'service-28',
+      isOutputEnabled: false,
+      useAsk: true,
+      rabbitClient,
+    });
+
+    const sendPromise = communicator.send({ foo: 'bar' });
+    const askPromise = communicator.ask('never', { foo: 'bar' });
+
+    await communicator.stop();
+
+    const errors = await Promise.all(
+      [sendPromise, askPromise].map(promise => promise.catch(e => e)),
+    );
+
+    errors.forEach((error) => {
+      expect(error.message).to.be.equal('Communicator for service "service-28" is stopped, can not send message');
+    });
+
+    expect(communicator.pendingAsksCount).to.be.equal(0);
+  });
+
+  it('removes timed out "ask" requests and passes late and unknown replies to the hooks', async () => {
+    const serviceName = 'service-18';
+    const lateReplies = [];
+    const orphanReplies = [];
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      askTimeout: 100,
+      onLateReply: reply => lateReplies.push(reply),
+      onOrphanReply: reply => orphanReplies.push(reply),
+      rabbitClient,
+    });
+
+    service.addAskListener('slow', async (ctx) => {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await ctx.reply(ctx.data);
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    let askError;
+
+    try {
+      await communicator.ask('slow', { foo: 'bar' });
+    } catch (e) {
+      askError = e;
+    }
+
+    expect(askError).to.be.an('error');
+    expect(communicator.pendingAsksCount).to.be.equal(0);
+
+    await service.sendReply(communicator.replyQueueName, {}, { isReplyTo: 'unknown-id' });
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Replies are not received')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (lateReplies.length === 1 && orphanReplies.length === 1) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    expect(lateReplies[0].data).to.be.eql({ foo: 'bar' });
+    expect(orphanReplies[0].metadata.isReplyTo).to.be.equal('unknown-id');
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('waits for reply hooks in progress on stop', async () => {
+    const serviceName = 'service-30';
+    let isHookFinished = false;
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isOutputEnabled: false,
+      useAsk: true,
+      onOrphanReply: async () => {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        isHookFinished = true;
+      },
+      rabbitClient,
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.outputQueueName);
+
+    await service.sendReply(communicator.replyQueueName, {}, { isReplyTo: 'unknown-id' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await communicator.stop();
+
+    expect(isHookFinished).to.be.equal(true);
+
+    await service.stop();
+  });
+
+  itWithAbortController('allows to override "ask" timeout, abort it with AbortSignal and passes its deadline to the service', async () => {
+    const serviceName = 'service-19';
+    const listenerCalls = [];
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      askTimeout: 10e3,
+      rabbitClient,
+    });
+
+    service.addAskListener('deadline', async (ctx) => {
+      listenerCalls.push(ctx.data);
+      await ctx.reply({ deadline: ctx.deadline });
+    });
+
+    service.addAskListener('slow', async (ctx) => {
+      await new Promise(resolve => ctx.signal.addEventListener('abort', resolve));
+      listenerCalls.push({ isAborted: ctx.signal.aborted });
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const askTimestamp = Date.now();
+    const response = await communicator.ask('deadline', {}, { timeout: 2e3, metadata: { foo: 'bar' } });
+
+    expect(response.data.deadline).to.be.within(askTimestamp + 2e3, Date.now() + 2e3);
+
+    const timeoutError = await communicator.ask('slow', {}, { timeout: 100 }).catch(e => e);
+
+    expect(timeoutError.message).to.include('100 milliseconds');
+
+    const abortController = new AbortController();
+    const abortedAsk = communicator.ask('deadline', { isCancelled: true }, { signal: abortController.signal });
+
+    abortController.abort();
+
+    const abortError = await abortedAsk.catch(e => e);
+
+    expect(abortError.name).to.be.equal('AbortError');
+    expect(communicator.pendingAsksCount).to.be.equal(0);
+
+    const testChannel = await rabbitClient.getChannel();
+
+    await testChannel.publish(service.namespace, service.inputQueueName, {
+      data: { isExpired: true },
+      metadata: {
+        ask: true,
+        subject: 'deadline',
+        messageId: 'expired',
+        deadline: Date.now() - 1,
+      },
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(listenerCalls.filter(call => call.isExpired)).to.be.eql([]);
+    expect(listenerCalls).to.deep.include({ isAborted: true });
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('allows to receive streaming (multi-part) replies with "askStream"', async () => {
+    const serviceName = 'service-20';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      askTimeout: 100,
+      rabbitClient,
+    });
+
+    service.addAskListener('export', async (ctx) => {
+      for (let i = 0; i < ctx.data.count; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise(resolve => setTimeout(resolve, 60));
+        // eslint-disable-next-line no-await-in-loop
+        await ctx.replyChunk({ i });
+      }
+
+      if (!ctx.data.isEndSkipped) {
+        await ctx.end();
+      }
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const chunks = [];
+
+    // whole exchange takes longer than the timeout, but every chunk arrives in time
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of communicator.askStream('export', { count: 3 })) {
+      chunks.push(chunk.data);
+    }
+
+    expect(chunks).to.be.eql([{ i: 0 }, { i: 1 }, { i: 2 }]);
+
+    const receivedBeforeTimeout = [];
+    let timeoutError;
+
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of communicator.askStream('export', { count: 1, isEndSkipped: true })) {
+        receivedBeforeTimeout.push(chunk.data);
+      }
+    } catch (e) {
+      timeoutError = e;
+    }
+
+    expect(receivedBeforeTimeout).to.be.eql([{ i: 0 }]);
+    expect(timeoutError.message).to.include('next reply chunk');
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of communicator.askStream('export', { count: 3 }, { timeout: 1e3 })) {
+      expect(chunk.data).to.be.eql({ i: 0 });
+      break;
+    }
+
+    expect(communicator.pendingAsksCount).to.be.equal(0);
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  itWithAbortController('passes "ask" progress messages to "onProgress" callback and extends the timeout with each of them', async () => {
+    const serviceName = 'service-21';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      askTimeout: 100,
+      rabbitClient,
+    });
+
+    service.addAskListener('report', async (ctx) => {
+      for (let percent = 25; percent <= 100; percent += 25) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise(resolve => setTimeout(resolve, 60));
+        // eslint-disable-next-line no-await-in-loop
+        await ctx.progress({ percent });
+      }
+
+      await ctx.reply({ isSignalAborted: ctx.signal.aborted });
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const progressList = [];
+
+    // whole ask takes longer than the timeout, but service reports the progress in time
+    const response = await communicator.ask('report', {}, {
+      onProgress: progress => progressList.push(progress.data.percent),
+    });
+
+    expect(progressList).to.be.eql([25, 50, 75, 100]);
+    expect(response.data).to.be.eql({ isSignalAborted: false });
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('allows to subscribe to service\'s events, each consumer group (or instance) gets its own copy', async () => {
+    const serviceName = 'service-22';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      isOutputEnabled: true,
+      rabbitClient,
+    });
+
+    const createCommunicator = consumerGroup => new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: true,
+      isOutputEnabled: false,
+      consumerGroup,
+      rabbitClient,
+    });
+
+    const billingCommunicators = [createCommunicator('billing'), createCommunicator('billing')];
+    const exclusiveCommunicator = createCommunicator();
+
+    const billingEvents = [];
+    const exclusiveEvents = [];
+
+    billingCommunicators.forEach(communicator => communicator.subscribe('orders.*.created', (ctx) => {
+      billingEvents.push(ctx.data.id);
+    }));
+
+    exclusiveCommunicator.subscribe('orders.#', (ctx) => {
+      exclusiveEvents.push(`${ctx.metadata.eventName} ${ctx.data.id}`);
+    });
+
+    await service.start();
+    await Promise.all([...billingCommunicators, exclusiveCommunicator].map(c => c.start()));
+
+    createdQueues.push(billingCommunicators[0].eventsQueueName);
+
+    await service.publish('orders.eu.created', { id: 1 });
+    await service.publish('orders.us.created', { id: 2 });
+    await service.publish('orders.eu.deleted', { id: 3 });
+    await service.publish('users.created', { id: 4 });
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // instances of the same group compete for the events
+    expect(billingEvents.sort()).to.be.eql([1, 2]);
+    expect(exclusiveEvents).to.be.eql([
+      'orders.eu.created 1',
+      'orders.us.created 2',
+      'orders.eu.deleted 3',
+    ]);
+
+    // subscription added after start
+    const usersEvents = [];
+
+    await exclusiveCommunicator.subscribe('users.*', (ctx) => {
+      usersEvents.push(ctx.data.id);
+    });
+
+    await service.publish('users.created', { id: 5 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(usersEvents).to.be.eql([5]);
+
+    await Promise.all([...billingCommunicators, exclusiveCommunicator].map(c => c.stop()));
+    await service.stop();
+  });
+
+  it('starts single events consumer for parallel subscriptions after start', async () => {
+    const serviceName = 'service-25';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      isOutputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: true,
+      isOutputEnabled: false,
+      consumerGroup: 'billing',
+      rabbitClient,
+    });
+
+    const receivedEvents = [];
+
+    await service.start();
+    await communicator.start();
+
+    await Promise.all(['orders.created', 'orders.deleted'].map(pattern => communicator.subscribe(
+      pattern,
+      (ctx) => {
+        receivedEvents.push(ctx.metadata.eventName);
+      },
+    )));
+
+    createdQueues.push(communicator.eventsQueueName);
+
+    const channel = await rabbitClient.getChannel();
+
+    expect(await channel.checkQueue(communicator.eventsQueueName)).to.include({ consumerCount: 1 });
+
+    await service.publish('orders.created', {});
+    await service.publish('orders.deleted', {});
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(receivedEvents).to.be.eql(['orders.created', 'orders.deleted']);
+
+    await communicator.stop();
+
+    expect(await channel.checkQueue(communicator.eventsQueueName)).to.include({ consumerCount: 0 });
+
+    await service.publish('orders.created', {});
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(receivedEvents).to.have.lengthOf(2);
+
+    await service.stop();
+  });
+
+  it('retries and then discards failed events of the communicator without consumer group', async () => {
+    const serviceName = 'service-27';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      isOutputEnabled: true,
+      rabbitClient,
+    });
+
+    const retryingCommunicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: true,
+      isOutputEnabled: false,
+      retry: { attempts: 3, initialDelay: 1000 },
+      logger: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: true,
+      isOutputEnabled: false,
+      logger: false,
+      rabbitClient,
+    });
+
+    const attempts = { retrying: [], plain: [] };
+    const outcomes = { retrying: [], plain: [] };
+
+    retryingCommunicator.events.on('nack', ({ outcome }) => outcomes.retrying.push(outcome));
+    communicator.events.on('nack', ({ outcome }) => outcomes.plain.push(outcome));
+
+    await service.start();
+    await retryingCommunicator.start();
+    await communicator.start();
+
+    await retryingCommunicator.subscribe('orders.created', (ctx) => {
+      attempts.retrying.push(ctx.attempt);
+      throw new Error('Failed');
+    });
+
+    await communicator.subscribe('orders.created', (ctx) => {
+      attempts.plain.push(ctx.attempt);
+      throw new Error('Failed');
+    });
+
+    await service.publish('orders.created', {});
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // exclusive queues have no wait queues, so retries are not delayed
+    expect(attempts.retrying).to.be.eql([1, 2, 3]);
+    expect(outcomes.retrying).to.be.eql(['retried', 'retried', 'discarded']);
+
+    expect(attempts.plain).to.be.eql([1]);
+    expect(outcomes.plain).to.be.eql(['discarded']);
+
+    await retryingCommunicator.stop();
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('delivers full copy of service\'s output to each consumer group', async () => {
+    const serviceName = 'service-23';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      isOutputEnabled: true,
+      rabbitClient,
+    });
+
+    const receivedMessages = { analytics: [], audit: [] };
+
+    const communicators = ['analytics', 'analytics', 'audit'].map((consumerGroup) => {
+      const communicator = new Communicator({
+        namespace: NAMESPACE,
+        targetServiceName: serviceName,
+        isInputEnabled: false,
+        isOutputEnabled: true,
+        consumerGroup,
+        rabbitClient,
+      });
+
+      communicator.addOutputListener((ctx) => {
+        receivedMessages[consumerGroup].push(ctx.data.n);
+      });
+
+      return communicator;
+    });
+
+    await service.start();
+    await Promise.all(communicators.map(communicator => communicator.start()));
+
+    createdQueues.push(
+      service.outputQueueName,
+      ...communicators.map(({ outputQueueName }) => outputQueueName),
+    );
+
+    expect(communicators[0].outputQueueName).to.be.equal(`${service.outputQueueName}:analytics`);
+
+    const numbers = new Array(10).fill(null).map((item, i) => i);
+
+    await Promise.all(numbers.map(n => service.send({ n })));
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Messages are not received')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (receivedMessages.analytics.length === 10 && receivedMessages.audit.length === 10) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    // replicas of the same group share the messages
+    expect(receivedMessages.analytics.sort((a, b) => a - b)).to.be.eql(numbers);
+    expect(receivedMessages.audit.sort((a, b) => a - b)).to.be.eql(numbers);
+
+    await Promise.all(communicators.map(communicator => communicator.stop()));
+    await service.stop();
+  });
+
+  it('allows service to skip the output queue of communicators without consumer group', async () => {
+    const serviceName = 'service-26';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      useDefaultOutputQueue: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: false,
+      consumerGroup: 'analytics',
+      rabbitClient,
+    });
+
+    const receivedMessages = [];
+
+    communicator.addOutputListener((ctx) => {
+      receivedMessages.push(ctx.data.n);
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(communicator.outputQueueName);
+
+    await Promise.all([1, 2, 3].map(n => service.send({ n })));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(receivedMessages.sort()).to.be.eql([1, 2, 3]);
+
+    const channel = await rabbitClient.getChannel();
+    const checkError = await channel.checkQueue(service.outputQueueName).catch(e => e);
+
+    expect(checkError).to.be.an('error');
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('rejects "ask" with the error thrown (or replied) by service\'s ask listener', async () => {
+    const serviceName = 'service-15';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      rabbitClient,
+    });
+
+    service.addAskListener('throw', () => {
+      const error = new TypeError('Something went wrong');
+
+      error.code = 'E_WRONG';
+      error.details = { foo: 'bar' };
+
+      throw error;
+    });
+
+    service.addAskListener('reply-error', async (ctx) => {
+      await ctx.replyError(new Error('Explicit error'));
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const catchAskError = async (subject) => {
+      try {
+        await communicator.ask(subject, {});
+      } catch (e) {
+        return e;
+      }
+
+      return undefined;
+    };
+
+    const thrownError = await catchAskError('throw');
+
+    expect(thrownError).to.be.an('error');
+    expect(thrownError.name).to.be.equal('TypeError');
+    expect(thrownError.message).to.be.equal('Something went wrong');
+    expect(thrownError.code).to.be.equal('E_WRONG');
+    expect(thrownError.details).to.be.eql({ foo: 'bar' });
+
+    const repliedError = await catchAskError('reply-error');
+
+    expect(repliedError).to.be.an('error');
+    expect(repliedError.message).to.be.equal('Explicit error');
+
+    const unknownSubjectError = await catchAskError('unknown-subject');
+
+    expect(unknownSubjectError).to.be.an('error');
+    expect(unknownSubjectError.message).to.include('no listener registered');
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('moves service\'s output messages to the dead queue when retry attempts are exhausted', async () => {
+    const serviceName = 'service-16';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isOutputEnabled: true,
+      isInputEnabled: false,
+      retry: { attempts: 2 },
+      rabbitClient,
+    });
+
+    let listenerCallsCount = 0;
+
+    communicator.addOutputListener(() => {
+      listenerCallsCount += 1;
+
+      throw new Error('Communicator retry test');
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.outputQueueName, communicator.outputDeadQueueName);
+
+    await service.send({ foo: 'bar' });
+
+    const deadMessageHeaders = await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Message is not dead-lettered')), 2e3);
+
+      rabbitClient.getChannel({
+        onReconnect: async (channel) => {
+          await channel.consume(communicator.outputDeadQueueName, async (msg, ch) => {
+            clearTimeout(timeoutId);
+            await ch.ack(msg);
+
+            resolve(msg.properties.headers);
+          });
+        },
+      });
+    });
+
+    expect(listenerCallsCount).to.be.equal(2);
+    expect(deadMessageHeaders['x-original-queue']).to.be.equal(service.outputQueueName);
+    expect(deadMessageHeaders['x-error-message']).to.be.equal('Communicator retry test');
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('encodes messages with configured codec and decodes messages of differently configured peers', async () => {
+    const serviceName = 'service-17';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      codec: 'msgpack',
+      rabbitClient,
+    });
+
+    const jsonCommunicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      rabbitClient,
+    });
+
+    const rawCommunicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      codec: 'raw',
+      useAsk: true,
+      rabbitClient,
+    });
+
+    const receivedContentTypes = [];
+
+    service.addAskListener('echo', async (ctx) => {
+      receivedContentTypes.push(ctx.message.properties.contentType);
+
+      await ctx.reply(ctx.data);
+    });
+
+    await service.start();
+    await jsonCommunicator.start();
+    await rawCommunicator.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const jsonResponse = await jsonCommunicator.ask('echo', { foo: 'bar' });
+    const rawResponse = await rawCommunicator.ask('echo', Buffer.from([1, 2, 3]));
+
+    expect(receivedContentTypes).to.be.eql(['application/json', 'application/vnd.rabbit-communications.raw']);
+
+    // replies are encoded with service's MessagePack codec
+    expect(jsonResponse.data).to.be.eql({ foo: 'bar' });
+    expect(Buffer.from(rawResponse.data).equals(Buffer.from([1, 2, 3]))).to.be.equal(true);
+
+    await jsonCommunicator.stop();
+    await rawCommunicator.stop();
+    await service.stop();
+  });
+
+  it('moves messages which can not be decoded to the dead queues instead of requeueing them', async () => {
+    const serviceName = 'service-29';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      logger: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      logger: false,
+      rabbitClient,
+    });
+
+    const outcomes = [];
+
+    service.addInputListener(() => {});
+    communicator.addOutputListener(() => {});
+
+    service.events.on('nack', ({ outcome }) => outcomes.push(outcome));
+    communicator.events.on('nack', ({ outcome }) => outcomes.push(outcome));
+
+    await service.start();
+    await communicator.start();
+
+    const inputDeadQueueName = `${service.inputQueueName}:dead`;
+    const outputDeadQueueName = `${communicator.outputQueueName}:dead`;
+
+    createdQueues.push(
+      service.inputQueueName,
+      inputDeadQueueName,
+      service.outputQueueName,
+      outputDeadQueueName,
+    );
+
+    const channel = await rabbitClient.getChannel();
+
+    await channel.sendToQueue(service.inputQueueName, Buffer.from('{ malformed'), {
+      contentType: 'application/json',
+    });
+    await channel.sendToQueue(service.outputQueueName, Buffer.from([1, 2, 3]), {
+      contentType: 'application/unknown',
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(outcomes).to.be.eql(['dead-lettered', 'dead-lettered']);
+
+    const inputDeadQueue = await channel.checkQueue(inputDeadQueueName);
+    const outputDeadQueue = await channel.checkQueue(outputDeadQueueName);
+
+    expect(inputDeadQueue).to.include({ messageCount: 1 });
+    expect(outputDeadQueue).to.include({ messageCount: 1 });
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('replies errors and progress of "raw" codec peers and does not requeue asks whose error can not be replied', async () => {
+    const serviceName = 'service-24';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      codec: 'raw',
+      logger: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      codec: 'raw',
+      useAsk: true,
+      askTimeout: 300,
+      rabbitClient,
+    });
+
+    let unrepliedCallsCount = 0;
+
+    service.addAskListener('throw', async (ctx) => {
+      await ctx.progress({ percent: 50 });
+
+      throw new Error('Raw listener error');
+    });
+
+    service.addAskListener('unreplied', () => {
+      unrepliedCallsCount += 1;
+
+      throw new Error('Unreplied error');
+    });
+
+    service.useOutgoing(async (ctx, next) => {
+      if (ctx.metadata.subject === undefined && ctx.data && ctx.data.message === 'Unreplied error') {
+        throw new Error('Reply is not allowed');
+      }
+
+      await next();
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName, `${service.inputQueueName}:dead`, service.outputQueueName);
+
+    const progressList = [];
+
+    const thrownError = await communicator.ask('throw', Buffer.from([1]), {
+      onProgress: ({ data }) => progressList.push(data),
+    }).catch(e => e);
+
+    expect(thrownError.message).to.be.equal('Raw listener error');
+    expect(progressList).to.be.eql([{ percent: 50 }]);
+
+    const timeoutError = await communicator.ask('unreplied', Buffer.from([1])).catch(e => e);
+
+    expect(timeoutError.name).to.be.equal('TimeoutError');
+
+    // message is moved to the dead queue instead of being redelivered
+    expect(unrepliedCallsCount).to.be.equal(1);
+
+    const channel = await rabbitClient.getChannel();
+
+    expect(await channel.checkQueue(`${service.inputQueueName}:dead`)).to.include({ messageCount: 1 });
+
+    await communicator.stop();
+    await service.stop();
+  });
 });
@@ -1,16 +1,26 @@
 const { expect } = require('chai');
-const { Service, CommunicationsManager, RabbitClient } = require('../src');
+const {
+  Service, CommunicationsManager,
+  RabbitClient,
+  MemoryClient,
+} = require('../src');
 
 const { RABBIT_URL } = process.env;
 
 describe('CommunicationsManager (manages a pool of Communicators to interact with multiple services simultaneously. Core gateway functionality)', () => {
   const NAMESPACE = 'namespace-3';
 
-  const rabbitClient = new RabbitClient(RABBIT_URL, {
-    disableLogging: true,
-    appName: NAMESPACE,
-    json: true,
-  });
+  // without RabbitMQ url suite runs on top of in-memory transport
+  const rabbitClient = RABBIT_URL
+    ? new RabbitClient(RABBIT_URL, {
+      disableLogging: true,
+      appName: NAMESPACE,
+      json: true,
+    })
+    : new MemoryClient({
+      appName: NAMESPACE,
+      json: true,
+    });
 
   const createdQueues = [];
 
@@ -350,4 +360,611 @@ describe('CommunicationsManager (manages a pool of Communicators to interact wit
 
     expect(areMessagesReceivedByService).to.be.equal(true);
   });
+
+  it('stops all registered communicators', async () => {
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    manager.registerCommunicator('service-7', {
+      isInputEnabled: true,
+      isOutputEnabled: false,
+    });
+
+    manager.registerCommunicator('service-8', {
+      isInputEnabled: true,
+      isOutputEnabled: false,
+    });
+
+    await manager.start();
+
+    const registeredCommunicators = Object.values(manager.communicatorMap);
+
+    createdQueues.push(...registeredCommunicators.map(({ inputQueueName }) => inputQueueName));
+
+    await manager.stop();
+
+    expect(manager.isManagerStarted).to.be.equal(false);
+
+    const areAllCommunicatorsStopped = registeredCommunicators.every(
+      communicator => communicator.isCommunicatorStopped,
+    );
+
+    expect(areAllCommunicatorsStopped).to.be.equal(true);
+
+    // stopped manager is not going to start, so sending is rejected instead of waiting for it
+    const errors = await Promise.all([
+      manager.send('service-7', {}),
+      manager.ask('service-7', 'ping', {}),
+      manager.askAll('ping', {}),
+      manager.broadcast({}),
+    ].map(promise => promise.catch(e => e)));
+
+    errors.forEach((error) => {
+      expect(error.message).to.be.equal('Communications manager is stopped, can not send message');
+    });
+  });
+
+  it('allows to apply outgoing middleware for sent messages, asks and broadcasts', async () => {
+    const serviceName1 = 'service-9';
+    const serviceName2 = 'service-10';
+
+    const service1 = new Service({
+      namespace: NAMESPACE,
+      name: serviceName1,
+      rabbitClient,
+    });
+
+    const service2 = new Service({
+      namespace: NAMESPACE,
+      name: serviceName2,
+      isOutputEnabled: false,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    manager.registerCommunicator(serviceName1, { useAsk: true });
+
+    manager.registerCommunicator(serviceName2, {
+      isInputEnabled: true,
+      isOutputEnabled: false,
+    });
+
+    const calls = [];
+    const receivedMessages = [];
+
+    manager.applyOutgoingMiddleware(async (ctx, next) => {
+      calls.push(`root ${ctx.type} ${ctx.targetServiceName}`);
+
+      ctx.metadata.tenantId = 'tenant-1';
+      ctx.headers.authorization = 'token';
+
+      await next();
+
+      calls.push(`published ${ctx.messageId}`);
+    });
+
+    manager.applyOutgoingMiddleware(serviceName2, async (ctx, next) => {
+      // short-circuit, message is not published
+      if (ctx.data.isSecret) {
+        return;
+      }
+
+      await next();
+    });
+
+    manager.getCommunicator(serviceName1).useOutgoing(async (ctx, next) => {
+      ctx.data = { ...ctx.data, password: undefined };
+      await next();
+    });
+
+    const collectInputMessage = (ctx) => {
+      receivedMessages.push({
+        serviceName: ctx.service.name,
+        metadata: ctx.metadata,
+        headers: ctx.message.properties.headers,
+        data: ctx.data,
+      });
+    };
+
+    service1.addInputListener(collectInputMessage);
+    service2.addInputListener(collectInputMessage);
+
+    service1.addAskListener('echo', async (ctx) => {
+      collectInputMessage(ctx);
+      await ctx.reply(ctx.data);
+    });
+
+    await service1.start();
+    await service2.start();
+    await manager.start();
+
+    createdQueues.push(service1.inputQueueName, service1.outputQueueName, service2.inputQueueName);
+
+    const messageId = await manager.send(serviceName1, { login: 'foo', password: 'bar' });
+
+    expect(calls).to.be.eql([`root send ${serviceName1}`, `published ${messageId}`]);
+
+    calls.length = 0;
+
+    const response = await manager.ask(serviceName1, 'echo', { password: 'bar' });
+
+    expect(response.data).to.be.eql({});
+
+    const skippedMessageId = await manager.send(serviceName2, { isSecret: true });
+
+    expect(skippedMessageId).to.be.equal(undefined);
+
+    calls.length = 0;
+
+    await manager.broadcast({ test: 1 });
+
+    expect(calls.filter(call => call.startsWith('root'))).to.have.members([
+      `root broadcast ${serviceName1}`,
+      `root broadcast ${serviceName2}`,
+    ]);
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Messages are not received')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (receivedMessages.length === 4) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    expect(receivedMessages[0].metadata).to.be.eql({ tenantId: 'tenant-1', messageId });
+    expect(receivedMessages[0].data).to.be.eql({ login: 'foo' });
+
+    receivedMessages.forEach(({ metadata, headers }) => {
+      expect(metadata.tenantId).to.be.equal('tenant-1');
+      expect(headers.authorization).to.be.equal('token');
+    });
+
+    expect(receivedMessages.some(({ data }) => data.isSecret)).to.be.equal(false);
+
+    await manager.stop();
+    await service1.stop();
+    await service2.stop();
+  });
+
+  it('allows to ask all (or selected) services in parallel and collects their responses', async () => {
+    const serviceNames = ['service-11', 'service-12', 'service-13'];
+
+    const services = serviceNames.map(name => new Service({
+      namespace: NAMESPACE,
+      name,
+      rabbitClient,
+    }));
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    serviceNames.forEach(name => manager.registerCommunicator(name, { useAsk: true }));
+
+    services[0].addAskListener('health', async (ctx) => {
+      await ctx.reply({ isHealthy: true, name: ctx.service.name });
+    });
+
+    services[1].addAskListener('health', () => {
+      throw new Error('Database is not available');
+    });
+
+    services[2].addAskListener('health', () => {
+      // never replies
+    });
+
+    await Promise.all(services.map(service => service.start()));
+    await manager.start();
+
+    services.forEach(({ inputQueueName, outputQueueName }) => {
+      createdQueues.push(inputQueueName, outputQueueName);
+    });
+
+    const results = await manager.askAll('health', {}, { timeout: 200 });
+
+    expect(Object.keys(results)).to.have.members(serviceNames);
+    expect(results['service-11'].status).to.be.equal('fulfilled');
+    expect(results['service-11'].data).to.be.eql({ isHealthy: true, name: 'service-11' });
+    expect(results['service-12'].status).to.be.equal('rejected');
+    expect(results['service-12'].error.message).to.be.equal('Database is not available');
+    expect(results['service-13'].status).to.be.equal('timeout');
+
+    const selectedResults = await manager.askAll('health', {}, { services: ['service-11'] });
+
+    expect(Object.keys(selectedResults)).to.be.eql(['service-11']);
+
+    let minResponsesError;
+
+    try {
+      await manager.askAll('health', {}, { timeout: 200, minResponses: 2 });
+    } catch (e) {
+      minResponsesError = e;
+    }
+
+    expect(minResponsesError).to.be.an('error');
+    expect(minResponsesError.results['service-11'].status).to.be.equal('fulfilled');
+
+    await manager.stop();
+    await Promise.all(services.map(service => service.stop({ drainTimeout: 0 })));
+  });
+
+  it('allows to broadcast messages to selected services and reports results for each of them', async () => {
+    const serviceNames = ['service-14', 'service-15'];
+    const receivedMessages = { 'service-14': [], 'service-15': [] };
+
+    const services = serviceNames.map(name => new Service({
+      namespace: NAMESPACE,
+      name,
+      isInputEnabled: true,
+      isOutputEnabled: false,
+      rabbitClient,
+    }));
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    serviceNames.forEach(name => manager.registerCommunicator(name, {
+      isInputEnabled: true,
+      isOutputEnabled: false,
+    }));
+
+    // input-disabled communicators are skipped
+    manager.registerCommunicator('service-16', {
+      isInputEnabled: false,
+      isOutputEnabled: true,
+    }, () => {});
+
+    services.forEach((service) => {
+      service.addInputListener((ctx) => {
+        receivedMessages[ctx.service.name].push({ ...ctx.data, ...ctx.metadata });
+      });
+    });
+
+    await Promise.all(services.map(service => service.start()));
+    await manager.start();
+
+    createdQueues.push(
+      ...services.map(({ inputQueueName }) => inputQueueName),
+      manager.getCommunicator('service-16').outputQueueName,
+    );
+
+    const report = await manager.broadcast({ n: 1 });
+
+    expect(Object.keys(report)).to.be.eql(serviceNames);
+    expect(report['service-14'].status).to.be.equal('fulfilled');
+    expect(report['service-14'].messageId).to.be.a('string');
+
+    const selectedReport = await manager.broadcast({ n: 2 }, { to: ['service-14', 'service-16'] });
+
+    expect(Object.keys(selectedReport)).to.be.eql(['service-14']);
+
+    const filteredReport = await manager.broadcast({ n: 3 }, {
+      to: serviceName => serviceName !== 'service-14',
+      metadata: { foo: 'bar' },
+    });
+
+    expect(Object.keys(filteredReport)).to.be.eql(['service-15']);
+
+    await manager.getCommunicator('service-15').stop();
+
+    const failureReport = await manager.broadcast({ n: 4 }, { exclude: ['service-14'] });
+
+    expect(failureReport['service-15'].status).to.be.equal('rejected');
+    expect(failureReport['service-15'].error.message).to.include('stopped');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(receivedMessages['service-14'].map(({ n }) => n)).to.be.eql([1, 2]);
+    expect(receivedMessages['service-15'].map(({ n }) => n)).to.be.eql([1, 3]);
+    expect(receivedMessages['service-15'][1].foo).to.be.equal('bar');
+
+    // metadata used to be the second argument
+    const optionsError = await manager.broadcast({ n: 5 }, { foo: 'bar' }).catch(e => e);
+
+    expect(optionsError.message).to.include('Unknown broadcast options: foo');
+
+    await manager.stop();
+    await Promise.all(services.map(service => service.stop()));
+  });
+
+  it('applies middleware to output messages once after restart', async () => {
+    const serviceName = 'service-24';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    const calls = [];
+
+    manager.applyMiddleware(async (ctx, next) => {
+      calls.push('root middleware');
+      await next();
+    });
+
+    manager.registerCommunicator(serviceName, { isInputEnabled: false }, () => {
+      calls.push('output listener');
+    });
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.outputQueueName);
+
+    await manager.stop();
+    await manager.start();
+
+    await service.send({});
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(calls).to.be.eql(['root middleware', 'output listener']);
+
+    await manager.stop();
+    await service.stop();
+  });
+
+  it('starts communicators registered after manager start and allows to unregister them', async () => {
+    const serviceName = 'service-17';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    const calls = [];
+
+    manager.applyMiddleware(async (ctx, next) => {
+      calls.push('root middleware');
+      await next();
+    });
+
+    manager.applyMiddleware(serviceName, async (ctx, next) => {
+      calls.push('specific middleware');
+      await next();
+    });
+
+    service.addAskListener('never', () => {
+      // never replies
+    });
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    await manager.registerCommunicator(serviceName, { useAsk: true }, () => {
+      calls.push('output listener');
+    });
+
+    expect(manager.getCommunicator(serviceName).isCommunicatorStarted).to.be.equal(true);
+
+    await service.send({ foo: 'bar' });
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Output listener is not called')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (calls.length === 3) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    expect(calls).to.be.eql(['root middleware', 'specific middleware', 'output listener']);
+
+    const askPromise = manager.ask(serviceName, 'never', {}, { timeout: 10e3 });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await manager.unregisterCommunicator(serviceName);
+
+    const askError = await askPromise.catch(e => e);
+
+    expect(askError.message).to.include('stopped');
+    expect(manager.isCommunicatorRegistered(serviceName)).to.be.equal(false);
+
+    await manager.stop();
+    await service.stop();
+  });
+
+  it('starts communicators registered while manager is starting and unregisters failed ones', async () => {
+    const serviceNames = ['service-25', 'service-26', 'service-27'];
+
+    const services = serviceNames.map(name => new Service({
+      namespace: NAMESPACE,
+      name,
+      isInputEnabled: false,
+      rabbitClient,
+    }));
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      logger: false,
+      rabbitClient,
+    });
+
+    await Promise.all(services.map(service => service.start()));
+
+    services.forEach(({ inputQueueName, outputQueueName }) => {
+      createdQueues.push(inputQueueName, outputQueueName);
+    });
+
+    manager.registerCommunicator(serviceNames[0], { isInputEnabled: false }, () => {});
+
+    const managerStart = manager.start();
+    const lateRegistration = manager.registerCommunicator(
+      serviceNames[1],
+      { isInputEnabled: false },
+      () => {},
+    );
+
+    await Promise.all([managerStart, lateRegistration]);
+
+    expect(manager.getCommunicator(serviceNames[1]).isCommunicatorStarted).to.be.equal(true);
+
+    // output is enabled, but there is no output listener
+    const registrationError = await manager.registerCommunicator(serviceNames[2], {
+      isInputEnabled: false,
+    }).catch(e => e);
+
+    expect(registrationError.message).to.include('no listener');
+    expect(manager.isCommunicatorRegistered(serviceNames[2])).to.be.equal(false);
+
+    await manager.stop();
+    await Promise.all(services.map(service => service.stop()));
+  });
+
+  it('allows to subscribe to service\'s events with middleware applied', async () => {
+    const serviceName = 'service-18';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      isOutputEnabled: true,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      consumerGroup: 'gateway',
+      rabbitClient,
+    });
+
+    manager.registerCommunicator(serviceName, {
+      isInputEnabled: true,
+      isOutputEnabled: false,
+    });
+
+    const calls = [];
+
+    manager.applyMiddleware(async (ctx, next) => {
+      calls.push(`middleware ${ctx.metadata.eventName}`);
+      await next();
+    });
+
+    await manager.subscribe(serviceName, 'user.*', (ctx) => {
+      calls.push(`handler ${ctx.data.id}`);
+    });
+
+    await service.start();
+    await manager.start();
+
+    const communicator = manager.getCommunicator(serviceName);
+
+    createdQueues.push(communicator.eventsQueueName);
+
+    expect(communicator.eventsQueueName).to.be.equal(`${communicator.eventsExchangeName}:gateway`);
+
+    await service.publish('user.created', { id: 1 });
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Event is not received')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (calls.length === 2) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    expect(calls).to.be.eql(['middleware user.created', 'handler 1']);
+
+    await manager.stop();
+    await service.stop();
+  });
+
+  it('emits its own lifecycle events and events of its communicators', async () => {
+    const serviceName = 'service-19';
+    const events = [];
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    manager.registerCommunicator(serviceName, { useAsk: true });
+
+    ['started', 'stopped', 'ask:reply', 'ask:timeout'].forEach((eventName) => {
+      manager.events.on(eventName, payload => events.push({ eventName, payload }));
+    });
+
+    service.addAskListener('ping', async (ctx) => {
+      await ctx.reply('pong');
+    });
+
+    service.addAskListener('slow', () => {
+      // never replies
+    });
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    await manager.ask(serviceName, 'ping', {});
+    await manager.ask(serviceName, 'slow', {}, { timeout: 100 }).catch(() => {});
+
+    await manager.unregisterCommunicator(serviceName);
+    await manager.ask(serviceName, 'ping', {}).catch(() => {});
+
+    await manager.stop();
+    await service.stop();
+
+    expect(events.map(({ eventName, payload }) => `${payload.component} ${eventName}`)).to.be.eql([
+      'communicator started',
+      'manager started',
+      'communicator ask:reply',
+      'communicator ask:timeout',
+      'communicator stopped',
+      'manager stopped',
+    ]);
+
+    expect(events[2].payload).to.include({
+      service: serviceName,
+      subject: 'ping',
+      isError: false,
+      data: 'pong',
+    });
+    expect(events[2].payload.duration).to.be.a('number');
+    expect(events[3].payload).to.include({ service: serviceName, subject: 'slow', timeout: 100 });
+  });
 });
@@ -0,0 +1,220 @@
+const { expect } = require('chai');
+const {
+  Service,
+  Communicator,
+  CommunicationsManager,
+  MemoryBroker,
+  MemoryClient,
+} = require('../src');
+
+describe('MemoryClient (in-memory transport, allows to work without RabbitMQ)', () => {
+  const NAMESPACE = 'namespace-memory';
+
+  it('routes messages by direct, topic and fanout exchanges', async () => {
+    const client = new MemoryClient({ broker: new MemoryBroker(), json: true });
+    const channel = await client.getChannel();
+
+    await channel.assertExchange('direct-exchange', 'direct');
+    await channel.assertExchange('topic-exchange', 'topic');
+    await channel.assertExchange('fanout-exchange', 'fanout');
+
+    await Promise.all(['q1', 'q2', 'q3'].map(queue => channel.assertQueue(queue)));
+
+    await channel.bindQueue('q1', 'direct-exchange', 'key-1');
+    await channel.bindQueue('q2', 'topic-exchange', 'orders.*.created');
+    await channel.bindQueue('q3', 'topic-exchange', 'orders.#');
+    await channel.bindQueue('q1', 'fanout-exchange', '');
+    await channel.bindQueue('q3', 'fanout-exchange', '');
+
+    channel.publish('direct-exchange', 'key-1', { n: 1 });
+    channel.publish('direct-exchange', 'key-2', { n: 2 }); // unroutable
+    channel.publish('topic-exchange', 'orders.eu.created', { n: 3 });
+    channel.publish('topic-exchange', 'orders.eu.deleted', { n: 4 });
+    channel.publish('fanout-exchange', 'whatever', { n: 5 });
+
+    const received = { q1: [], q2: [], q3: [] };
+
+    await Promise.all(Object.keys(received).map(queue => channel.consume(
+      queue,
+      (msg, ch, parsedMessage) => {
+        received[queue].push(parsedMessage.n);
+        ch.ack(msg);
+      },
+    )));
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(received.q1).to.be.eql([1, 5]);
+    expect(received.q2).to.be.eql([3]);
+    expect(received.q3).to.be.eql([3, 4, 5]);
+  });
+
+  it('respects prefetch limit and returns nacked and unacked messages to the queue', async () => {
+    const client = new MemoryClient({ broker: new MemoryBroker(), json: true });
+    const channel = await client.getChannel();
+
+    await channel.assertQueue('queue');
+    await channel.prefetch(2);
+
+    [1, 2, 3, 4].forEach(n => channel.sendToQueue('queue', { n }));
+
+    const deliveries = [];
+
+    await channel.consume('queue', (msg, ch, parsedMessage) => {
+      deliveries.push({ msg, n: parsedMessage.n, redelivered: msg.fields.redelivered });
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // only two unacked messages at a time
+    expect(deliveries.map(({ n }) => n)).to.be.eql([1, 2]);
+
+    channel.ack(deliveries[0].msg);
+    channel.nack(deliveries[1].msg, false, true);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // requeued message goes to the head of the queue
+    expect(deliveries.map(({ n }) => n)).to.be.eql([1, 2, 2, 3]);
+    expect(deliveries[2].redelivered).to.be.equal(true);
+
+    const otherChannel = await client.getChannel();
+
+    await channel.close();
+    await otherChannel.consume('queue', (msg, ch, parsedMessage) => {
+      deliveries.push({ msg, n: parsedMessage.n });
+      ch.ack(msg);
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // unacked messages of the closed channel are delivered to the other consumer
+    expect(deliveries.slice(4).map(({ n }) => n).sort()).to.be.eql([2, 3, 4]);
+  });
+
+  it('dead-letters expired and rejected messages', async () => {
+    const client = new MemoryClient({ broker: new MemoryBroker(), json: true });
+    const channel = await client.getChannel();
+
+    await channel.assertExchange('dlx', 'direct');
+    await channel.assertQueue('dead');
+    await channel.bindQueue('dead', 'dlx', 'dead-key');
+
+    await channel.assertQueue('waiting', {
+      messageTtl: 50,
+      deadLetterExchange: '',
+      deadLetterRoutingKey: 'dead',
+    });
+
+    await channel.assertQueue('rejecting', {
+      deadLetterExchange: 'dlx',
+      deadLetterRoutingKey: 'dead-key',
+    });
+
+    const received = [];
+
+    await channel.consume('dead', (msg, ch, parsedMessage) => {
+      received.push(parsedMessage.n);
+      ch.ack(msg);
+    });
+
+    await channel.consume('rejecting', (msg, ch) => ch.nack(msg, false, false));
+
+    channel.sendToQueue('waiting', { n: 1 });
+    channel.sendToQueue('rejecting', { n: 2 });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(received).to.be.eql([2]);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(received).to.be.eql([2, 1]);
+  });
+
+  it('deletes exclusive queues when the channel declared them is closed', async () => {
+    const client = new MemoryClient({ broker: new MemoryBroker(), json: true });
+    const channel = await client.getChannel();
+    const otherChannel = await client.getChannel();
+
+    await channel.assertExchange('events', 'topic');
+    await channel.assertQueue('exclusive', { exclusive: true });
+    await channel.assertQueue('durable');
+    await channel.bindQueue('exclusive', 'events', '#');
+    await channel.bindQueue('durable', 'events', '#');
+
+    await channel.close();
+
+    otherChannel.publish('events', 'orders.created', { n: 1 });
+
+    const checkError = await otherChannel.checkQueue('exclusive').catch(e => e);
+
+    expect(checkError.message).to.include('NOT_FOUND');
+    expect(await otherChannel.checkQueue('durable')).to.include({ messageCount: 1 });
+  });
+
+  it('does not dead-letter acknowledged messages', async () => {
+    const client = new MemoryClient({ broker: new MemoryBroker(), json: true });
+    const channel = await client.getChannel();
+
+    await channel.assertExchange('dlx', 'direct');
+    await channel.assertQueue('dead');
+    await channel.bindQueue('dead', 'dlx', 'dead-key');
+
+    await channel.assertQueue('acking', {
+      deadLetterExchange: 'dlx',
+      deadLetterRoutingKey: 'dead-key',
+    });
+
+    await channel.consume('acking', (msg, ch) => ch.ack(msg));
+
+    channel.sendToQueue('acking', { n: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(await channel.checkQueue('acking')).to.include({ messageCount: 0 });
+    expect(await channel.checkQueue('dead')).to.include({ messageCount: 0 });
+  });
+
+  it('is used by Service, Communicator and CommunicationsManager with "transport: \'memory\'" option', async () => {
+    const serviceName = 'service-1';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      transport: 'memory',
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      useAsk: true,
+      transport: 'memory',
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      transport: 'memory',
+    });
+
+    manager.registerCommunicator(serviceName, { useAsk: true });
+
+    service.addAskListener('echo', ctx => ctx.reply(ctx.data));
+
+    await service.start();
+    await communicator.start();
+    await manager.start();
+
+    expect(service.rabbitClient).to.be.an.instanceOf(MemoryClient);
+
+    const response1 = await communicator.ask('echo', { foo: 'bar' });
+    const response2 = await manager.ask(serviceName, 'echo', { bar: 'baz' });
+
+    expect(response1.data).to.be.eql({ foo: 'bar' });
+    expect(response2.data).to.be.eql({ bar: 'baz' });
+
+    await manager.stop();
+    await communicator.stop();
+    await service.stop();
+  });
+});
@@ -0,0 +1,180 @@
+const { expect } = require('chai');
+const {
+  Service,
+  CommunicationsManager,
+  MetricsCollector,
+  RabbitClient,
+  MemoryClient,
+} = require('../src');
+const { MetricsRegistry } = require('../src/metrics');
+
+const { RABBIT_URL } = process.env;
+
+describe('MetricsCollector (collects metrics of messaging traffic in Prometheus format)', () => {
+  const NAMESPACE = 'namespace-metrics';
+
+  // without RabbitMQ url suite runs on top of in-memory transport
+  const rabbitClient = RABBIT_URL
+    ? new RabbitClient(RABBIT_URL, {
+      disableLogging: true,
+      appName: NAMESPACE,
+      json: true,
+    })
+    : new MemoryClient({
+      appName: NAMESPACE,
+      json: true,
+    });
+
+  const createdQueues = [];
+
+  after(async () => {
+    try {
+      const channel = await rabbitClient.getChannel();
+
+      await Promise.all(createdQueues.map(queue => channel.deleteQueue(queue).catch(() => {})));
+      await channel.deleteExchange(NAMESPACE);
+    } catch (e) {
+      // ignore clean-up errors
+    }
+  });
+
+  it('renders counters, gauges and histograms in Prometheus text exposition format', () => {
+    const registry = new MetricsRegistry({ buckets: [0.1, 1] });
+
+    registry.counter('requests_total', 'Number of requests');
+    registry.gauge('queue_size', 'Size of the queue', () => [
+      { labels: { queue: 'a' }, value: 2 },
+      { labels: { queue: 'a' }, value: 3 },
+    ]);
+    registry.histogram('request_duration_seconds', 'Duration of requests');
+
+    registry.inc('requests_total', { path: '/"quoted"\\path' });
+    registry.inc('requests_total', { path: '/"quoted"\\path' }, 2);
+    registry.observe('request_duration_seconds', { path: '/' }, 0.05);
+    registry.observe('request_duration_seconds', { path: '/' }, 0.5);
+    registry.observe('request_duration_seconds', { path: '/' }, 5);
+
+    expect(registry.render()).to.be.equal([
+      '# HELP requests_total Number of requests',
+      '# TYPE requests_total counter',
+      'requests_total{path="/\\"quoted\\"\\\\path"} 3',
+      '# HELP queue_size Size of the queue',
+      '# TYPE queue_size gauge',
+      'queue_size{queue="a"} 5',
+      '# HELP request_duration_seconds Duration of requests',
+      '# TYPE request_duration_seconds histogram',
+      'request_duration_seconds_bucket{path="/",le="0.1"} 1',
+      'request_duration_seconds_bucket{path="/",le="1"} 2',
+      'request_duration_seconds_bucket{path="/",le="+Inf"} 3',
+      'request_duration_seconds_sum{path="/"} 5.55',
+      'request_duration_seconds_count{path="/"} 3',
+      '',
+    ].join('\n'));
+
+    expect(registry.getSnapshot().request_duration_seconds.values).to.be.eql([{
+      labels: { path: '/' },
+      buckets: [{ le: 0.1, count: 1 }, { le: 1, count: 2 }, { le: Infinity, count: 3 }],
+      sum: 5.55,
+      count: 3,
+    }]);
+  });
+
+  it('collects metrics of attached services and managers without changes of listeners', async () => {
+    const serviceName = 'service-1';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      shouldDiscardMessages: true,
+      logger: false,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      logger: false,
+      rabbitClient,
+    });
+
+    manager.registerCommunicator(serviceName, { useAsk: true }, () => {});
+
+    service.on('orders.created', () => {});
+
+    service.on('orders.deleted', () => {
+      throw new Error('Order can not be deleted');
+    });
+
+    service.addAskListener('ping', async (ctx) => {
+      await ctx.reply('pong');
+    });
+
+    service.addAskListener('slow', () => {
+      // never replies
+    });
+
+    const metrics = new MetricsCollector();
+
+    metrics.attach(service);
+    metrics.attach(manager);
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const communicator = manager.getCommunicator(serviceName);
+
+    await communicator.emit('orders.created', {});
+    await communicator.emit('orders.deleted', {});
+    await manager.ask(serviceName, 'ping', {});
+
+    const slowAsk = manager.ask(serviceName, 'slow', {}, { timeout: 100 }).catch(() => {});
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const pendingAsks = metrics.getSnapshot().rabbit_communications_pending_asks.values;
+
+    await slowAsk;
+
+    const snapshot = metrics.getSnapshot();
+    const serviceLabels = { component: 'service', namespace: NAMESPACE, service: serviceName };
+    const communicatorLabels = { ...serviceLabels, component: 'communicator' };
+
+    const getValue = (metricName, labels) => {
+      const series = snapshot[`rabbit_communications_${metricName}`].values
+        .find(item => JSON.stringify(item.labels) === JSON.stringify(labels));
+
+      return series && (series.value === undefined ? series.count : series.value);
+    };
+
+    expect(pendingAsks).to.be.eql([{ labels: communicatorLabels, value: 1 }]);
+
+    expect(getValue('messages_published_total', { ...communicatorLabels, subject: 'orders.created', type: 'send' })).to.be.equal(1);
+    expect(getValue('messages_published_total', { ...communicatorLabels, subject: 'ping', type: 'ask' })).to.be.equal(1);
+    expect(getValue('messages_published_total', { ...serviceLabels, subject: '', type: 'reply' })).to.be.equal(1);
+
+    expect(getValue('messages_consumed_total', { ...serviceLabels, subject: 'orders.created' })).to.be.equal(1);
+    expect(getValue('messages_acked_total', { ...serviceLabels, subject: 'orders.created' })).to.be.equal(1);
+    expect(getValue('messages_nacked_total', { ...serviceLabels, subject: 'orders.deleted', outcome: 'discarded' })).to.be.equal(1);
+    expect(getValue('listener_duration_seconds', { ...serviceLabels, subject: 'orders.deleted' })).to.be.equal(1);
+
+    expect(getValue('ask_duration_seconds', { ...communicatorLabels, subject: 'ping', status: 'replied' })).to.be.equal(1);
+    expect(getValue('ask_timeouts_total', { ...communicatorLabels, subject: 'slow' })).to.be.equal(1);
+
+    expect(metrics.render()).to.include(
+      `rabbit_communications_ask_timeouts_total{component="communicator",namespace="${NAMESPACE}",service="${serviceName}",subject="slow"} 1`,
+    );
+
+    metrics.detach(manager);
+
+    await communicator.emit('orders.created', {});
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(metrics.getSnapshot().rabbit_communications_messages_published_total.values
+      .filter(({ labels }) => labels.component === 'communicator' && labels.subject === 'orders.created')
+      .map(({ value }) => value)).to.be.eql([1]);
+
+    await manager.stop();
+    await service.stop({ drainTimeout: 0 });
+  });
+});
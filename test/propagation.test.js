@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const {
+  Service,
+  CommunicationsManager,
+  RabbitClient,
+  MemoryClient,
+} = require('../src');
+
+const { RABBIT_URL } = process.env;
+
+describe('Metadata propagation (received metadata is carried to messages sent by listeners)', () => {
+  const NAMESPACE = 'namespace-propagation';
+
+  // without RabbitMQ url suite runs on top of in-memory transport
+  const rabbitClient = RABBIT_URL
+    ? new RabbitClient(RABBIT_URL, {
+      disableLogging: true,
+      appName: NAMESPACE,
+      json: true,
+    })
+    : new MemoryClient({
+      appName: NAMESPACE,
+      json: true,
+    });
+
+  const createdQueues = [];
+
+  after(async () => {
+    try {
+      const channel = await rabbitClient.getChannel();
+
+      await Promise.all(createdQueues.map(queue => channel.deleteQueue(queue).catch(() => {})));
+      await channel.deleteExchange(NAMESPACE);
+    } catch (e) {
+      // ignore clean-up errors
+    }
+  });
+
+  it('carries listed keys, correlationId and causationId across hops', async () => {
+    const serviceName = 'service-1';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      logger: false,
+      propagateMetadata: ['requestId', 'tenant'],
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      logger: false,
+      propagateMetadata: ['tenant'],
+      rabbitClient,
+    });
+
+    const receivedMetadata = [];
+    let resolveLastMessage;
+    const lastMessage = new Promise((resolve) => { resolveLastMessage = resolve; });
+
+    service.on('orders.created', async (ctx) => {
+      receivedMetadata.push(ctx.metadata);
+
+      // propagation is not lost in the nested asynchronous calls
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await service.send({}, { subject: 'orders.checked' });
+    });
+
+    service.on('orders.paid', (ctx) => {
+      receivedMetadata.push(ctx.metadata);
+      resolveLastMessage();
+    });
+
+    service.addAskListener('orders.count', async (ctx) => {
+      await ctx.reply(1);
+    });
+
+    manager.registerCommunicator(serviceName, { useAsk: true }, async (ctx) => {
+      receivedMetadata.push(ctx.metadata);
+
+      await manager.getCommunicator(serviceName).emit('orders.paid', {});
+    });
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const communicator = manager.getCommunicator(serviceName);
+
+    const firstMessageId = await communicator.emit('orders.created', {}, {
+      requestId: 'request-1',
+      tenant: 'tenant-1',
+      userId: 'user-1',
+    });
+
+    await lastMessage;
+
+    const [createdMetadata, checkedMetadata, paidMetadata] = receivedMetadata;
+
+    expect(createdMetadata).to.not.have.property('correlationId');
+
+    expect(checkedMetadata).to.include({
+      subject: 'orders.checked',
+      requestId: 'request-1',
+      tenant: 'tenant-1',
+      correlationId: firstMessageId,
+      causationId: firstMessageId,
+    });
+    expect(checkedMetadata).to.not.have.property('userId');
+
+    // manager propagates "tenant" only
+    expect(paidMetadata).to.include({
+      subject: 'orders.paid',
+      tenant: 'tenant-1',
+      correlationId: firstMessageId,
+      causationId: checkedMetadata.messageId,
+    });
+    expect(paidMetadata).to.not.have.property('requestId');
+
+    const askMetadata = {};
+
+    communicator.useOutgoing(async (ctx, next) => {
+      Object.assign(askMetadata, ctx.metadata);
+      await next();
+    });
+
+    const askReply = new Promise((resolve) => { communicator.events.once('ask:reply', resolve); });
+
+    await communicator.ask('orders.count', {}, { metadata: { tenant: 'tenant-2' } });
+
+    const { metadata: replyMetadata } = await askReply;
+
+    // nothing is propagated outside of the listeners
+    expect(askMetadata).to.include({ tenant: 'tenant-2' });
+    expect(askMetadata).to.not.have.property('correlationId');
+
+    expect(replyMetadata).to.include({
+      tenant: 'tenant-2',
+      correlationId: askMetadata.messageId,
+      causationId: askMetadata.messageId,
+      isReplyTo: askMetadata.messageId,
+    });
+
+    await manager.stop();
+    await service.stop({ drainTimeout: 0 });
+  });
+});
@@ -1,16 +1,27 @@
 const { expect } = require('chai');
-const { Service, RabbitClient } = require('../src');
+const {
+  Service,
+  Communicator,
+  RabbitClient,
+  MemoryClient,
+} = require('../src');
 
 const { RABBIT_URL } = process.env;
 
 describe('Service (allows to exchange messages with it in both directions)', () => {
   const NAMESPACE = 'namespace-1';
 
-  const rabbitClient = new RabbitClient(RABBIT_URL, {
-    disableLogging: true,
-    appName: NAMESPACE,
-    json: true,
-  });
+  // without RabbitMQ url suite runs on top of in-memory transport
+  const rabbitClient = RABBIT_URL
+    ? new RabbitClient(RABBIT_URL, {
+      disableLogging: true,
+      appName: NAMESPACE,
+      json: true,
+    })
+    : new MemoryClient({
+      appName: NAMESPACE,
+      json: true,
+    });
 
   const createdQueues = [];
 
@@ -470,7 +481,7 @@ describe('Service (allows to exchange messages with it in both directions)', ()
       },
     });
 
-    await service.send({ foo: 'bar' });
+    const messageId = await service.send({ foo: 'bar' });
 
     await new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => reject(), 2e3);
@@ -487,6 +498,769 @@ describe('Service (allows to exchange messages with it in both directions)', ()
       }, 100);
     });
 
-    expect(receivedMessageMetadata).to.be.eql(serviceMetadata);
+    expect(receivedMessageMetadata).to.be.eql({ ...serviceMetadata, messageId });
+  });
+
+  it('rejects messages waiting for the start when it is stopped before being started', async () => {
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: 'service-22',
+      isInputEnabled: false,
+      useAsk: true,
+      rabbitClient,
+    });
+
+    const sendPromise = service.send({ foo: 'bar' });
+    const askPromise = service.ask('never', { foo: 'bar' });
+
+    await service.stop();
+
+    const errors = await Promise.all(
+      [sendPromise, askPromise].map(promise => promise.catch(e => e)),
+    );
+
+    errors.forEach((error) => {
+      expect(error.message).to.be.equal('Service "service-22" is stopped, can not send message');
+    });
+  });
+
+  it('waits for in-flight listener calls on stop and stops consuming new messages', async () => {
+    const testChannel = await rabbitClient.getChannel();
+
+    const service = new Service({
+      name: 'service-10-input-only',
+      isOutputEnabled: false,
+      isInputEnabled: true,
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    const receivedMessages = [];
+    const processedMessages = [];
+
+    service.addInputListener(async ({ data }) => {
+      receivedMessages.push(data);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      processedMessages.push(data);
+    });
+
+    await service.start();
+
+    createdQueues.push(service.inputQueueName);
+
+    await testChannel.publish(
+      service.namespace,
+      service.inputQueueName,
+      { data: { test: 1 }, metadata: {} },
+    );
+
+    await new Promise((resolve) => {
+      const intervalId = setInterval(() => {
+        if (receivedMessages.length === 1) {
+          clearInterval(intervalId);
+          resolve();
+        }
+      }, 10);
+    });
+
+    await service.stop({ drainTimeout: 2e3 });
+
+    expect(processedMessages).to.be.eql([{ test: 1 }]);
+
+    await testChannel.publish(
+      service.namespace,
+      service.inputQueueName,
+      { data: { test: 2 }, metadata: {} },
+    );
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(receivedMessages).to.have.lengthOf(1);
+
+    let isSendErrorCaught = false;
+
+    try {
+      await service.send({ foo: 'bar' });
+    } catch (e) {
+      isSendErrorCaught = true;
+    }
+
+    expect(isSendErrorCaught).to.be.equal(true);
+  });
+
+  it('retries failed messages limited number of times and moves them to the dead queue', async () => {
+    const testChannel = await rabbitClient.getChannel();
+
+    const service = new Service({
+      name: 'service-11-input-only',
+      retry: { attempts: 3 },
+      isOutputEnabled: false,
+      isInputEnabled: true,
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    const receivedAttempts = [];
+
+    service.addInputListener((ctx) => {
+      receivedAttempts.push(ctx.attempt);
+
+      throw new Error('Service retry test');
+    });
+
+    await service.start();
+
+    createdQueues.push(service.inputQueueName, service.inputDeadQueueName);
+
+    const deadMessages = [];
+
+    await rabbitClient.getChannel({
+      onReconnect: async (channel) => {
+        await channel.consume(service.inputDeadQueueName, async (msg, ch, parsedMessage) => {
+          deadMessages.push({ headers: msg.properties.headers, data: parsedMessage.data });
+          await ch.ack(msg);
+        });
+      },
+    });
+
+    await testChannel.publish(
+      service.namespace,
+      service.inputQueueName,
+      { data: { test: 1 }, metadata: {} },
+    );
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Message is not dead-lettered')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (deadMessages.length > 0) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 50);
+    });
+
+    expect(receivedAttempts).to.be.eql([1, 2, 3]);
+    expect(deadMessages).to.have.lengthOf(1);
+    expect(deadMessages[0].data).to.be.eql({ test: 1 });
+    expect(deadMessages[0].headers['x-attempt']).to.be.equal(3);
+    expect(deadMessages[0].headers['x-error-message']).to.be.equal('Service retry test');
+    expect(deadMessages[0].headers['x-error-stack']).to.include('Service retry test');
+
+    await service.stop();
+  });
+
+  it('delays retries of failed messages with exponential backoff', async () => {
+    const testChannel = await rabbitClient.getChannel();
+
+    const service = new Service({
+      name: 'service-12-input-only',
+      retry: {
+        attempts: 3,
+        backoff: 'exponential',
+        initialDelay: 100,
+        maxDelay: 1000,
+      },
+      isOutputEnabled: false,
+      isInputEnabled: true,
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    const attemptTimestamps = [];
+
+    service.addInputListener(() => {
+      attemptTimestamps.push(Date.now());
+
+      throw new Error('Service backoff test');
+    });
+
+    await service.start();
+
+    createdQueues.push(
+      service.inputQueueName,
+      service.inputDeadQueueName,
+      `${service.inputQueueName}:retry:100`,
+      `${service.inputQueueName}:retry:200`,
+    );
+
+    await testChannel.publish(
+      service.namespace,
+      service.inputQueueName,
+      { data: { test: 1 }, metadata: {} },
+    );
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Message is not retried')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (attemptTimestamps.length === 3) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 50);
+    });
+
+    expect(attemptTimestamps[1] - attemptTimestamps[0]).to.be.at.least(90);
+    expect(attemptTimestamps[2] - attemptTimestamps[1]).to.be.at.least(190);
+
+    await service.stop();
+  });
+
+  it('allows to apply async (koa-style) middleware for input and ask listeners', async () => {
+    const testChannel = await rabbitClient.getChannel();
+
+    const service = new Service({
+      name: 'service-13',
+      isOutputEnabled: true,
+      isInputEnabled: true,
+      namespace: NAMESPACE,
+      rabbitClient,
+    });
+
+    const calls = [];
+
+    service.use(async (ctx, next) => {
+      calls.push('root 1');
+      await next();
+      calls.push('root 1 reverse flow');
+    });
+
+    service.use([
+      async (ctx, next) => {
+        calls.push('root 2');
+        await next();
+      },
+    ]);
+
+    service.use('echo', async (ctx, next) => {
+      calls.push('echo 1');
+      await next();
+    });
+
+    service.use(['echo', 'other'], [
+      async (ctx, next) => {
+        calls.push('echo 2');
+        await next();
+      },
+    ]);
+
+    service.addInputListener(() => {
+      calls.push('input listener');
+    });
+
+    service.addAskListener('echo', async (ctx) => {
+      calls.push('ask listener');
+      await ctx.reply(ctx.data);
+    });
+
+    await service.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const waitForCalls = count => new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Middleware is not called')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (calls.length === count) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    await testChannel.publish(
+      service.namespace,
+      service.inputQueueName,
+      { data: {}, metadata: {} },
+    );
+
+    await waitForCalls(4);
+
+    expect(calls).to.be.eql(['root 1', 'root 2', 'input listener', 'root 1 reverse flow']);
+
+    calls.length = 0;
+
+    await testChannel.publish(
+      service.namespace,
+      service.inputQueueName,
+      { data: {}, metadata: { ask: true, subject: 'echo', messageId: 'test' } },
+    );
+
+    await waitForCalls(6);
+
+    expect(calls).to.be.eql(['root 1', 'root 2', 'echo 1', 'echo 2', 'ask listener', 'root 1 reverse flow']);
+
+    await service.stop();
+  });
+
+  it('allows to apply outgoing middleware for sent messages and replies', async () => {
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: 'service-14',
+      rabbitClient,
+    });
+
+    const testChannel = await rabbitClient.getChannel();
+    const calls = [];
+    const receivedMessages = [];
+
+    service.useOutgoing(async (ctx, next) => {
+      calls.push(ctx.type);
+
+      ctx.headers['x-service'] = ctx.service.name;
+
+      // replies with errors are not published
+      if (ctx.data.isError) {
+        return;
+      }
+
+      await next();
+    });
+
+    service.useOutgoing([
+      async (ctx, next) => {
+        ctx.metadata.isAudited = true;
+        await next();
+      },
+    ]);
+
+    service.addInputListener(async (ctx) => {
+      await ctx.reply({ isError: ctx.data.isError });
+    });
+
+    service.addAskListener('echo', async (ctx) => {
+      await ctx.reply(ctx.data);
+    });
+
+    await service.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    await testChannel.consume(service.outputQueueName, async (msg, ch, parsedMessage) => {
+      receivedMessages.push({
+        headers: msg.properties.headers,
+        metadata: parsedMessage.metadata,
+      });
+
+      await ch.ack(msg);
+    });
+
+    const messageId = await service.send({});
+
+    await testChannel.publish(service.namespace, service.inputQueueName, {
+      data: { isError: true },
+      metadata: {},
+    });
+
+    await testChannel.publish(service.namespace, service.inputQueueName, {
+      data: {},
+      metadata: { ask: true, subject: 'echo', messageId: 'test' },
+    });
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Messages are not received')), 2e3);
+
+      const intervalId = setInterval(() => {
+        if (receivedMessages.length === 2 && calls.length === 3) {
+          clearTimeout(timeoutId);
+          clearInterval(intervalId);
+
+          resolve();
+        }
+      }, 20);
+    });
+
+    expect(calls).to.be.eql(['send', 'send', 'reply']);
+    expect(receivedMessages[0].metadata).to.be.eql({ isAudited: true, messageId });
+
+    receivedMessages.forEach(({ headers, metadata }) => {
+      expect(headers['x-service']).to.be.equal('service-14');
+      expect(metadata.isAudited).to.be.equal(true);
+    });
+
+    await service.stop();
+  });
+
+  it('routes input messages to the listeners of their subjects', async () => {
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: 'service-15',
+      isOutputEnabled: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: 'service-15',
+      isOutputEnabled: false,
+      rabbitClient,
+    });
+
+    const calls = [];
+
+    service.on('orders.created', (ctx) => {
+      calls.push(`created ${ctx.data.id}`);
+    });
+
+    service.on('orders.*', (ctx) => {
+      calls.push(`${ctx.metadata.subject} ${ctx.data.id}`);
+    });
+
+    service.addInputListener((ctx) => {
+      calls.push(`fallback ${ctx.data.id}`);
+    });
+
+    service.use('orders.created', async (ctx, next) => {
+      calls.push('middleware');
+      await next();
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName);
+
+    await communicator.emit('orders.created', { id: 1 });
+    await communicator.send({ id: 2 }, { subject: 'orders.deleted' });
+    await communicator.emit('users.created', { id: 3 });
+    await communicator.send({ id: 4 });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(calls).to.be.eql([
+      'middleware',
+      'created 1',
+      'orders.deleted 2',
+      'fallback 3',
+      'fallback 4',
+    ]);
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('moves input messages of unknown subjects to the dead queue if there is no input listener', async () => {
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: 'service-16-input-only',
+      isOutputEnabled: false,
+      rabbitClient,
+    });
+
+    const testChannel = await rabbitClient.getChannel();
+    const calls = [];
+
+    service.on('known', (ctx) => {
+      calls.push(ctx.data.id);
+    });
+
+    await service.start();
+
+    createdQueues.push(service.inputQueueName, service.inputDeadQueueName);
+
+    await testChannel.publish(service.namespace, service.inputQueueName, {
+      data: { id: 1 },
+      metadata: { subject: 'unknown' },
+    });
+
+    await testChannel.publish(service.namespace, service.inputQueueName, {
+      data: { id: 2 },
+      metadata: { subject: 'known' },
+    });
+
+    const deadMessages = [];
+
+    await testChannel.consume(service.inputDeadQueueName, async (msg, ch, parsedMessage) => {
+      deadMessages.push({ headers: msg.properties.headers, data: parsedMessage.data });
+      await ch.ack(msg);
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(calls).to.be.eql([2]);
+    expect(deadMessages.map(({ data }) => data)).to.be.eql([{ id: 1 }]);
+    expect(deadMessages[0].headers['x-error-message']).to.include('"unknown"');
+
+    await service.stop();
+  });
+
+  it('allows to ask its communicators and get their replies', async () => {
+    const serviceName = 'service-17';
+    const outputMessages = [];
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      useAsk: true,
+      askTimeout: 200,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      rabbitClient,
+    });
+
+    communicator.addAskListener('config', async (ctx) => {
+      await ctx.reply({ key: ctx.data.key, value: 'from-gateway' });
+    });
+
+    communicator.addAskListener('throw', () => {
+      throw new Error('Gateway error');
+    });
+
+    communicator.addAskListener('slow', async (ctx) => {
+      await new Promise(resolve => setTimeout(resolve, ctx.deadline - Date.now()));
+    });
+
+    communicator.addOutputListener((ctx) => {
+      outputMessages.push(ctx.data);
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.outputQueueName, communicator.inputQueueName);
+
+    const response = await service.ask('config', { key: 'limit' });
+
+    expect(response.data).to.be.eql({ key: 'limit', value: 'from-gateway' });
+    expect(response.metadata.isReplyTo).to.be.a('string');
+
+    const thrownError = await service.ask('throw', {}).catch(e => e);
+
+    expect(thrownError.message).to.be.equal('Gateway error');
+
+    // communicator without the listener leaves the ask to the others (see consumer groups)
+    const unknownSubjectError = await service.ask('unknown-subject', {}).catch(e => e);
+
+    expect(unknownSubjectError.name).to.be.equal('TimeoutError');
+
+    const timeoutError = await service.ask('slow', {}).catch(e => e);
+
+    expect(timeoutError.name).to.be.equal('TimeoutError');
+    expect(timeoutError.message).to.include('200 milliseconds');
+    expect(service.pendingAsksCount).to.be.equal(0);
+
+    await service.send({ isRegular: true });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(outputMessages).to.be.eql([{ isRegular: true }]);
+
+    await communicator.stop();
+    await service.stop();
+  });
+
+  it('gets ask replies from the consumer group having the listener', async () => {
+    const serviceName = 'service-21';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isInputEnabled: false,
+      useAsk: true,
+      askTimeout: 1e3,
+      rabbitClient,
+    });
+
+    const billingCommunicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: true,
+      consumerGroup: 'billing',
+      rabbitClient,
+    });
+
+    const gatewayCommunicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isInputEnabled: true,
+      consumerGroup: 'gateway',
+      rabbitClient,
+    });
+
+    billingCommunicator.addOutputListener(() => {});
+
+    gatewayCommunicator.addAskListener('session', async (ctx) => {
+      await ctx.reply({ id: ctx.data.id });
+    });
+
+    await service.start();
+    await billingCommunicator.start();
+    await gatewayCommunicator.start();
+
+    createdQueues.push(
+      service.outputQueueName,
+      billingCommunicator.outputQueueName,
+      gatewayCommunicator.outputQueueName,
+    );
+
+    const ids = new Array(10).fill(null).map((item, i) => i);
+    const responses = await Promise.all(ids.map(id => service.ask('session', { id })));
+
+    expect(responses.map(({ data }) => data.id)).to.be.eql(ids);
+
+    await billingCommunicator.stop();
+    await gatewayCommunicator.stop();
+    await service.stop();
+  });
+
+  it('writes structured log lines to the custom logger and allows to silence logging', async () => {
+    const serviceName = 'service-18';
+    const logLines = [];
+
+    const createLogger = () => ['debug', 'info', 'warn', 'error'].reduce((logger, level) => ({
+      ...logger,
+      [level]: (fields, message) => logLines.push({ level, fields, message }),
+    }), {});
+
+    expect(() => new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      logger: { info: () => {} },
+      rabbitClient,
+    })).to.throw('Logger must have');
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: false,
+      shouldDiscardMessages: true,
+      logger: createLogger(),
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isOutputEnabled: false,
+      logger: false,
+      rabbitClient,
+    });
+
+    service.on('orders.created', () => {
+      throw new Error('Order is invalid');
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName);
+
+    const messageId = await communicator.emit('orders.created', { id: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    await communicator.stop();
+    await service.stop();
+
+    expect(logLines.map(({ message }) => message)).to.be.eql([
+      'Service started',
+      'Input listener failed',
+      'Service stopped',
+    ]);
+
+    const { level, fields } = logLines[1];
+
+    expect(level).to.be.equal('error');
+    expect(fields).to.include({
+      component: 'service',
+      namespace: NAMESPACE,
+      service: serviceName,
+      queue: service.inputQueueName,
+      messageId,
+      subject: 'orders.created',
+      attempt: 1,
+    });
+    expect(fields.err.message).to.be.equal('Order is invalid');
+  });
+
+  it('emits lifecycle and message events', async () => {
+    const serviceName = 'service-19';
+    const events = [];
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      isOutputEnabled: false,
+      shouldDiscardMessages: true,
+      logger: false,
+      rabbitClient,
+    });
+
+    const communicator = new Communicator({
+      namespace: NAMESPACE,
+      targetServiceName: serviceName,
+      isOutputEnabled: false,
+      rabbitClient,
+    });
+
+    ['started', 'stopped', 'reconnected', 'message', 'ack', 'nack', 'error'].forEach((eventName) => {
+      service.events.on(eventName, payload => events.push({ eventName, payload }));
+    });
+
+    service.on('orders.created', () => {});
+
+    service.on('orders.deleted', () => {
+      throw new Error('Order can not be deleted');
+    });
+
+    await service.start();
+    await communicator.start();
+
+    createdQueues.push(service.inputQueueName);
+
+    const createdMessageId = await communicator.emit('orders.created', { id: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const deletedMessageId = await communicator.emit('orders.deleted', { id: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // channel is reopened by the client, as if the connection was lost
+    await service.inputChannel.close();
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await communicator.stop();
+    await service.stop();
+
+    expect(events.map(({ eventName }) => eventName)).to.be.eql([
+      'started',
+      'message',
+      'ack',
+      'message',
+      'error',
+      'nack',
+      'reconnected',
+      'stopped',
+    ]);
+
+    const payloadOf = index => events[index].payload;
+
+    expect(payloadOf(0)).to.include({
+      component: 'service',
+      service: serviceName,
+      inputQueue: service.inputQueueName,
+    });
+    expect(payloadOf(1)).to.include({ messageId: createdMessageId, subject: 'orders.created' });
+    expect(payloadOf(1).data).to.be.eql({ id: 1 });
+    expect(payloadOf(2).duration).to.be.a('number');
+    expect(payloadOf(4).error.message).to.be.equal('Order can not be deleted');
+    expect(payloadOf(5)).to.include({ messageId: deletedMessageId, attempt: 1 });
+    expect(payloadOf(6)).to.include({ channel: 'input', queue: service.inputQueueName });
   });
 });
@@ -0,0 +1,205 @@
+const { expect } = require('chai');
+const {
+  Service,
+  CommunicationsManager,
+  RabbitClient,
+  MemoryClient,
+  tracing: { InMemoryTracer, SpanKind, SpanStatusCode },
+} = require('../src');
+const { parseTraceparent, formatTraceparent } = require('../src/tracing');
+
+const { RABBIT_URL } = process.env;
+
+describe('Tracing (W3C trace context propagated through metadata)', () => {
+  const NAMESPACE = 'namespace-tracing';
+
+  // without RabbitMQ url suite runs on top of in-memory transport
+  const rabbitClient = RABBIT_URL
+    ? new RabbitClient(RABBIT_URL, {
+      disableLogging: true,
+      appName: NAMESPACE,
+      json: true,
+    })
+    : new MemoryClient({
+      appName: NAMESPACE,
+      json: true,
+    });
+
+  const createdQueues = [];
+
+  after(async () => {
+    try {
+      const channel = await rabbitClient.getChannel();
+
+      await Promise.all(createdQueues.map(queue => channel.deleteQueue(queue).catch(() => {})));
+      await channel.deleteExchange(NAMESPACE);
+    } catch (e) {
+      // ignore clean-up errors
+    }
+  });
+
+  it('parses and formats traceparent header', () => {
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    expect(parseTraceparent(traceparent)).to.be.eql({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+      traceFlags: 1,
+    });
+    expect(formatTraceparent(parseTraceparent(traceparent))).to.be.equal(traceparent);
+
+    expect(parseTraceparent('ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).to.be.equal(undefined);
+    expect(parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01')).to.be.equal(undefined);
+    expect(parseTraceparent('invalid')).to.be.equal(undefined);
+    expect(parseTraceparent(undefined)).to.be.equal(undefined);
+  });
+
+  it('records publish, process and ask spans of the single trace', async () => {
+    const serviceName = 'service-1';
+    const serviceTracer = new InMemoryTracer();
+    const managerTracer = new InMemoryTracer();
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      shouldDiscardMessages: true,
+      logger: false,
+      tracer: serviceTracer,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      logger: false,
+      tracer: managerTracer,
+      rabbitClient,
+    });
+
+    manager.registerCommunicator(serviceName, { useAsk: true }, () => {});
+
+    let listenerTrace;
+
+    service.addAskListener('ping', async (ctx) => {
+      listenerTrace = ctx.trace;
+
+      await ctx.reply('pong');
+    });
+
+    service.on('orders.deleted', () => {
+      throw new Error('Order can not be deleted');
+    });
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    await manager.ask(serviceName, 'ping', {}, {
+      metadata: { traceparent, tracestate: 'vendor=value' },
+    });
+
+    const findSpan = (tracer, name) => tracer.getFinishedSpans().find(span => span.name === name);
+
+    const askSpan = findSpan(managerTracer, 'ask ping');
+    const publishSpan = findSpan(managerTracer, `publish ${service.inputQueueName}`);
+    const processSpan = findSpan(serviceTracer, `process ${service.inputQueueName}`);
+    const replySpan = findSpan(serviceTracer, 'publish (temporary)');
+
+    expect(askSpan.kind).to.be.equal(SpanKind.CLIENT);
+    expect(publishSpan.kind).to.be.equal(SpanKind.PRODUCER);
+    expect(processSpan.kind).to.be.equal(SpanKind.CONSUMER);
+    expect(replySpan.kind).to.be.equal(SpanKind.PRODUCER);
+
+    // every span belongs to the trace passed in metadata
+    [askSpan, publishSpan, processSpan, replySpan].forEach((span) => {
+      expect(span.traceId).to.be.equal('0af7651916cd43dd8448eb211c80319c');
+      expect(span.traceState).to.be.equal('vendor=value');
+    });
+
+    expect(askSpan.parentSpanId).to.be.equal('b7ad6b7169203331');
+    expect(publishSpan.parentSpanId).to.be.equal(askSpan.spanId);
+    expect(processSpan.parentSpanId).to.be.equal(publishSpan.spanId);
+    expect(replySpan.parentSpanId).to.be.equal(processSpan.spanId);
+
+    expect(publishSpan.attributes).to.include({
+      'messaging.system': 'rabbitmq',
+      'messaging.operation': 'publish',
+      'messaging.destination.name': service.inputQueueName,
+      'rabbit_communications.subject': 'ping',
+      'rabbit_communications.type': 'ask',
+    });
+
+    expect(listenerTrace).to.include({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: processSpan.spanId,
+      traceparent: `00-0af7651916cd43dd8448eb211c80319c-${processSpan.spanId}-01`,
+      tracestate: 'vendor=value',
+    });
+
+    await manager.getCommunicator(serviceName).emit('orders.deleted', {});
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const failedSpan = serviceTracer.getFinishedSpans().pop();
+
+    expect(failedSpan.name).to.be.equal(`process ${service.inputQueueName}`);
+    expect(failedSpan.status).to.be.eql({
+      code: SpanStatusCode.ERROR,
+      message: 'Order can not be deleted',
+    });
+    expect(failedSpan.events[0].name).to.be.equal('exception');
+
+    await manager.stop();
+    await service.stop({ drainTimeout: 0 });
+  });
+
+  it('extracts incoming trace context into ctx.trace without tracer', async () => {
+    const serviceName = 'service-2';
+
+    const service = new Service({
+      namespace: NAMESPACE,
+      name: serviceName,
+      logger: false,
+      rabbitClient,
+    });
+
+    const manager = new CommunicationsManager({
+      namespace: NAMESPACE,
+      logger: false,
+      rabbitClient,
+    });
+
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    const outputMessage = new Promise((resolve) => {
+      manager.registerCommunicator(serviceName, {}, resolve);
+    });
+
+    let listenerTrace;
+
+    service.addInputListener(async (ctx) => {
+      listenerTrace = ctx.trace;
+
+      await ctx.reply({ ok: true });
+    });
+
+    await service.start();
+    await manager.start();
+
+    createdQueues.push(service.inputQueueName, service.outputQueueName);
+
+    await manager.send(serviceName, {}, { traceparent });
+
+    const ctx = await outputMessage;
+
+    expect(listenerTrace).to.include({ traceId: '0af7651916cd43dd8448eb211c80319c', traceparent });
+
+    // reply carries the trace context of the incoming message
+    expect(ctx.metadata.traceparent).to.be.equal(traceparent);
+    expect(ctx.trace.traceparent).to.be.equal(traceparent);
+
+    await manager.stop();
+    await service.stop({ drainTimeout: 0 });
+  });
+});